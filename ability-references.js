@@ -0,0 +1,94 @@
+/**
+ * Ability References - Find ability mentions like "Volley (W)" or "R (Arrow)" in tip text
+ * Each part is matched against the abilities of the candidate sources ({ name, abilities: [{ key, name }] })
+ * Shared by app.js (ability chips in tips) and scripts/self-test.js
+ */
+
+const ABILITY_REFERENCES = {
+    // Compare names without case or punctuation: "Yordle Snap-Trap" = "Yordle Snap Trap", "Rocket Grab!" = "Rocket Grab"
+    normalizeName(name) {
+        return (name || '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    // Name from the tip vs current ability name; exactOnly stops a longer tip phrase from matching a shorter name
+    namesMatch(wanted, actual, exactOnly = false) {
+        wanted = this.normalizeName(wanted);
+        actual = this.normalizeName(actual);
+        if (!wanted || !actual) return false;
+        return actual.includes(wanted) || (!exactOnly && wanted.includes(actual));
+    },
+
+    // First source whose ability with this key matches the name; source null only if none of them does
+    resolvePart(key, name, sources, exactOnly = false) {
+        for (const source of sources) {
+            const ability = source.abilities?.find(a => a.key === key);
+            if (ability && this.namesMatch(name, ability.name, exactOnly)) {
+                return { key, name, source, ability };
+            }
+        }
+        return { key, name, source: null, ability: null };
+    },
+
+    /**
+     * Find ability references like "Volley (W)", "R (Arrow)" or "W-Q (Headbutt-Pulverize)" in tip text
+     * Returns array of { index, length, parts: [{ key, name, source, ability }] }
+     * A "Key (Name)" part with no source means the name no longer matches any current ability with that key
+     */
+    find(text, sources) {
+        const references = [];
+        const candidates = sources.filter(Boolean);
+
+        // "Key (Name)" form, e.g. "R (Arrow)", "E (Zenith Blade)" or "W-Q (Headbutt-Pulverize)"
+        const keyFirst = /\b([QWER](?:-[QWER])*)\s\(([^)]+)\)/g;
+        let match;
+        while ((match = keyFirst.exec(text)) !== null) {
+            const keys = match[1].split('-');
+            const names = keys.length > 1 ? match[2].split('-') : [match[2]];
+            if (names.length !== keys.length) continue;
+
+            references.push({
+                index: match.index,
+                length: match[0].length,
+                parts: keys.map((key, i) => this.resolvePart(key, names[i], candidates))
+            });
+        }
+
+        // "Name (Key)" form, e.g. "Volley (W)" - try the longest run of capitalized words that fits an ability name
+        const nameFirst = /\(([QWER])\)/g;
+        while ((match = nameFirst.exec(text)) !== null) {
+            const key = match[1];
+            const words = text.slice(0, match.index).trimEnd().split(' ');
+            let part = null;
+
+            for (let n = Math.min(4, words.length); n > 0 && !part?.source; n--) {
+                const candidate = words.slice(-n).join(' ');
+                if (/^[A-Z]/.test(candidate)) {
+                    part = this.resolvePart(key, candidate, candidates, true);
+                }
+            }
+
+            // Only resolved names count: "his hook (Q)" or "Thresh hook (Q)" aren't ability names - leave them as plain text
+            if (!part?.source) continue;
+
+            const start = text.lastIndexOf(part.name, match.index);
+            references.push({
+                index: start,
+                length: match.index + match[0].length - start,
+                parts: [part]
+            });
+        }
+
+        return references
+            .sort((a, b) => a.index - b.index)
+            .filter((ref, i, all) => i === 0 || ref.index >= all[i - 1].index + all[i - 1].length);
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ABILITY_REFERENCES };
+}
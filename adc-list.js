@@ -55,15 +55,28 @@ const ADC_LIST = {
         return [...this.marksman, ...this.mage];
     },
     
+    // Champion identity resolver (global in the browser, required in Node)
+    identity() {
+        return typeof CHAMPION_IDENTITY !== 'undefined'
+            ? CHAMPION_IDENTITY
+            : require('./champion-identity.js').CHAMPION_IDENTITY;
+    },
+    
+    // Check if a list contains a champion under any alias (id, display name, slug)
+    includesChampion(list, championId) {
+        const identity = this.identity();
+        return list.some(id => identity.matches(id, championId));
+    },
+    
     // Check if champion is an ADC
     isADC(championId) {
-        return this.getAllADCs().includes(championId);
+        return this.includesChampion(this.getAllADCs(), championId);
     },
     
     // Get role of ADC
     getADCRole(championId) {
-        if (this.marksman.includes(championId)) return 'marksman';
-        if (this.mage.includes(championId)) return 'mage';
+        if (this.includesChampion(this.marksman, championId)) return 'marksman';
+        if (this.includesChampion(this.mage, championId)) return 'mage';
         return null;
     },
     
@@ -78,21 +91,21 @@ const ADC_LIST = {
         // A Tier
         const aTier = ['Kaisa', 'Vayne', 'Smolder', 'Tristana', 'Lucian', 'Draven', 'Swain'];
         
-        if (sTierPlus.includes(championId)) return 'S+';
-        if (sTier.includes(championId)) return 'S';
-        if (aTier.includes(championId)) return 'A';
+        if (this.includesChampion(sTierPlus, championId)) return 'S+';
+        if (this.includesChampion(sTier, championId)) return 'S';
+        if (this.includesChampion(aTier, championId)) return 'A';
         return 'B';
     }
 };
 
-// Support types for synergy calculation
+// Support types for synergy calculation (DDragon ids, same as ADC_LIST)
 const SUPPORT_TYPES = {
     enchanter: [
         'Janna', 'Lulu', 'Nami', 'Sona', 'Soraka', 'Yuumi', 
         'Karma', 'Milio', 'Renata', 'Seraphine', 'Senna'
     ],
     tank: [
-        'Alistar', 'Braum', 'Leona', 'Nautilus', 'Rell', 'Tahm Kench',
+        'Alistar', 'Braum', 'Leona', 'Nautilus', 'Rell', 'TahmKench',
         'Taric', 'Thresh'
     ],
     engage: [
@@ -100,7 +113,7 @@ const SUPPORT_TYPES = {
         'Leona', 'Rell'
     ],
     poke: [
-        'Brand', 'Lux', 'Xerath', 'Zyra', 'Vel\'Koz', 'Swain',
+        'Brand', 'Lux', 'Xerath', 'Zyra', 'Velkoz', 'Swain',
         'Karma', 'Senna', 'Ashe'
     ],
     catcher: [
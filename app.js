@@ -13,6 +13,10 @@ const CONFIG = {
   CHAMPION_API: 'https://ddragon.leagueoflegends.com/cdn/{version}/data/en_US/champion.json',
   CHAMPION_DETAIL_API: 'https://ddragon.leagueoflegends.com/cdn/{version}/data/en_US/champion/{championId}.json',
   CHAMPION_IMG: 'https://ddragon.leagueoflegends.com/cdn/{version}/img/champion/{championId}.png',
+  ITEM_API: 'https://ddragon.leagueoflegends.com/cdn/{version}/data/en_US/item.json',
+  ITEM_IMG: 'https://ddragon.leagueoflegends.com/cdn/{version}/img/item/{itemId}.png',
+  TIPS_INDEX: './tips/index.json',
+  TIPS_URL: './tips/{championId}.json',
   WIKILOL_CHAMPION_URL: 'https://wiki.leagueoflegends.com/en-us/{championName}'
 };
 
@@ -20,56 +24,59 @@ let state = {
   patch: null,
   champions: {},
   championsSummary: {}, // Threat data from champions-summary.json
+  tipIndex: { adcs: [], supports: [] }, // Available tip files from tips/index.json
+  tips: {}, // Loaded tip files by canonical ADC id (fetched on ADC selection)
+  items: null, // DDragon item.json data by item id (fetched on first item advice)
   selectedADC: null,
   enemies: [],
-  allies: []
+  enemyRoleOverrides: {}, // Enemy slot index -> role picked by the user (the rest is inferred)
+  allies: [],
+  // Cooldown badge settings: level/ranks null = show every rank, enemyHaste = per-enemy AH by canonical id
+  cooldownSettings: {
+    haste: 0,
+    level: null,
+    ranks: { Q: null, W: null, E: null, R: null },
+    ultimateHunter: false,
+    enemyHaste: {}
+  },
+  abilityTimers: {}, // Running enemy ability and summoner spell timers by timer key: { start (ms), duration (s), label }
+  enemySummoners: {}, // Enemy summoner slots by canonical id: { spells: [two names], ionianBoots, cosmicInsight }
+  gameClockStart: null, // ms timestamp of game time 0:00, set from the timer strip's game clock
+  mySummoner: null // Your second summoner spell (picked in the summoner advisor), used by the threat scores
 };
 
 // WeakMap to store delete button references for input elements
 // This avoids polluting DOM nodes and prevents naming collisions
 const deleteButtonRefs = new WeakMap();
 
-// CC Classification based on wikilol
-// Reference: https://wiki.leagueoflegends.com/en-us/Types_of_Crowd_Control
-// Reference: https://wiki.leagueoflegends.com/en-us/Cleanse
-const CC_TYPES = {
-  // Hard CC - NON-Cleansable (Cleanse cannot remove these)
-  // Airborne: Disabling effect can be removed but forced movement cannot  // Nearsight: Cannot be cleansed at all
-  HARD_NON_CLEANSABLE: {
-    types: ['airborne', 'knock', 'pull', 'nearsight'],
-    description: 'Airborne: Disabling can be removed but not forced movement. Nearsight: Cannot be cleansed.'
-  },
-  // Soft CC - Cleansable (Can be removed by Cleanse/QSS)
-  // Includes suspension (Nami's special stun), all common stuns, roots, slows, etc.
-  SOFT_CLEANSABLE: {
-    types: ['stun', 'suspension', 'root', 'snare', 'slow', 'charm', 'fear', 'taunt', 'silence', 
-            'blind', 'disarm', 'cripple', 'sleep', 'drowsy'],
-    description: 'Can be removed by Cleanse or QSS'
+// Champion detail requests by champion id, so table rows and team-wide analysis share one fetch
+const championDetailCache = new Map();
+
+// Threat score model (0-100 per enemy) - tune the weights here
+// Each classified ability adds tags[ccType] x cooldown multiplier, reduced if your summoner answers it
+// The sum is scaled so the most threatening kit in champions-summary.json scores 100
+const THREAT_SCORE_WEIGHTS = {
+  tags: {
+    Suppression: 30, Knockup: 22, Suspension: 22, Pull: 22, Stun: 20, Charm: 18, Taunt: 18, Polymorph: 18,
+    Knockback: 16, Root: 16, Sleep: 16, Fear: 16, Nearsight: 10,
+    Silence: 8, Blind: 8, Slow: 6, Disarm: 6, Grounded: 6, Cripple: 5,
+    Burst: 14, Stealth: 12, Mobility: 10, Dash: 10, 'Projectile Block': 8, 'Unbreakable Wall': 8,
+    Dodge: 6, Poke: 6, 'Breakable Wall': 4, Shield: 3, Sustain: 3, Ghost: 3, Reveal: 2
   },
-  // Suppression - Special case (Only QSS can remove, not Cleanse)
-  SUPPRESSION: {
-    types: ['suppression', 'suppress'],
-    description: 'Cannot be removed by Cleanse. Only QSS can remove.'
+  // Multiplier = reference / rank-1 cooldown, clamped: an 8s stun counts more than a 120s ultimate
+  cooldown: { reference: 10, min: 0.5, max: 1.5 },
+  // Multiplier for threats your summoner spell can answer
+  answered: 0.6,
+  // Threat types each summoner spell answers (Cleanse: anything cleansable)
+  answeredBy: {
+    Cleanse: classification => classification.cleansable,
+    Exhaust: classification => ['Burst', 'Dash', 'Mobility'].includes(classification.ccType),
+    Barrier: classification => ['Burst', 'Poke'].includes(classification.ccType),
+    Heal: classification => classification.ccType === 'Poke',
+    Ghost: classification => ['Slow', 'Cripple'].includes(classification.ccType)
   }
 };
 
-// Threat labels for enemy champions (ADC perspective)
-const THREAT_LABELS = {
-  // Mobility threats
-  DASH: { label: 'Mobility', severity: 'high', icon: '🏃' },
-  BLINK: { label: 'Blink', severity: 'high', icon: '⚡' },
-  STEALTH: { label: 'Stealth', severity: 'high', icon: '👻' },
-  
-  // Damage threats
-  BURST: { label: 'Burst', severity: 'high', icon: '💥' },
-  DPS: { label: 'DPS', severity: 'medium', icon: '🔥' },
-  POKE: { label: 'Poke', severity: 'medium', icon: '🎯' },
-  
-  // Utility threats
-  SHIELD: { label: 'Shield', severity: 'low', icon: '🛡️' },
-  HEAL: { label: 'Sustain', severity: 'low', icon: '💚' }
-};
-
 // Normalize text for search matching (removes special characters and spaces)
 function normalizeForSearch(text) {
   return text.toLowerCase().replace(/['\s\-\.]/g, '');
@@ -84,11 +91,22 @@ async function init() {
   try {
     state.patch = await fetchPatch();
     state.champions = await fetchChampions(state.patch);
+    CHAMPION_IDENTITY.registerChampions(Object.values(state.champions));
     state.championsSummary = await fetchChampionsSummary();
+    // Fail loudly on threat tags the taxonomy doesn't define
+    THREAT_TAXONOMY.assertKnown(THREAT_TAXONOMY.collectTags(Object.values(state.championsSummary)), 'champions-summary.json');
+    THREAT_TAXONOMY.assertKnown(CC_RULES.rules.map(rule => rule.tag), 'cc-rules.js');
+    renderThreatLegend();
+    state.tipIndex = await fetchTipIndex();
     setupPatchNotesLink();
     setupADCInput();
     createInputs();
     setupListeners();
+    state.abilityTimers = loadAbilityTimers();
+    state.mySummoner = loadStoredJson(MY_SUMMONER_STORAGE_KEY, null);
+    setupAbilityTimerHotkeys();
+    setupTimerStrip();
+    setInterval(refreshAbilityTimers, 1000);
     updateUIState();
   } catch (error) {
     console.error('Init failed:', error);
@@ -113,13 +131,12 @@ async function fetchChampionsSummary() {
   try {
     const res = await fetch('./champions-summary.json');
     const data = await res.json();
-    // Create a map from champion name to champion data
+    // Create a map from canonical champion id to champion data
     const map = {};
     const championsList = data.champions || data; // Support both old and new format
+    CHAMPION_IDENTITY.registerChampions(championsList);
     championsList.forEach(champ => {
-      map[champ.name] = champ;
-      // Also map by slug for easier lookup
-      map[champ.slug] = champ;
+      map[CHAMPION_IDENTITY.resolve(champ)] = champ;
     });
     return map;
   } catch (error) {
@@ -128,13 +145,89 @@ async function fetchChampionsSummary() {
   }
 }
 
+async function fetchTipIndex() {
+  try {
+    const res = await fetch(CONFIG.TIPS_INDEX);
+    return await res.json();
+  } catch (error) {
+    console.error('Failed to load tips/index.json:', error);
+    return { adcs: [], supports: [] };
+  }
+}
+
+// Lazily load the tip file for an ADC (matchups, synergy and macro), cached per ADC
+async function fetchADCTips(champion) {
+  const adcId = CHAMPION_IDENTITY.resolve(champion);
+  if (!state.tipIndex.adcs.includes(adcId)) return null;
+  if (state.tips[adcId]) return state.tips[adcId];
+
+  try {
+    const res = await fetch(CONFIG.TIPS_URL.replace('{championId}', adcId));
+    state.tips[adcId] = await res.json();
+    return state.tips[adcId];
+  } catch (error) {
+    console.error(`Failed to load tips for ${adcId}:`, error);
+    return null;
+  }
+}
+
+// Get the already-loaded tip file for an ADC (null if none or not fetched yet)
+function getADCTips(champion) {
+  return state.tips[CHAMPION_IDENTITY.resolve(champion)] || null;
+}
+
+// Get champions-summary.json data for a champion under any alias
+function getSummaryData(champion) {
+  return state.championsSummary[CHAMPION_IDENTITY.resolve(champion)];
+}
+
 async function fetchChampionDetail(championId) {
-  const url = CONFIG.CHAMPION_DETAIL_API
-    .replace('{version}', state.patch)
-    .replace('{championId}', championId);
-  const res = await fetch(url);
-  const data = await res.json();
-  return data.data[championId];
+  if (!championDetailCache.has(championId)) {
+    const url = CONFIG.CHAMPION_DETAIL_API
+      .replace('{version}', state.patch)
+      .replace('{championId}', championId);
+    const request = fetch(url)
+      .then(res => res.json())
+      .then(data => data.data[championId])
+      .catch(error => {
+        // Don't cache failures so the next render can retry
+        championDetailCache.delete(championId);
+        throw error;
+      });
+    championDetailCache.set(championId, request);
+  }
+  return championDetailCache.get(championId);
+}
+
+// Lazily load DDragon item data for the current patch (empty object if the request fails)
+async function fetchItems() {
+  if (state.items) return state.items;
+
+  try {
+    const url = CONFIG.ITEM_API.replace('{version}', state.patch);
+    const res = await fetch(url);
+    const data = await res.json();
+    state.items = data.data;
+  } catch (error) {
+    console.error('Failed to load item.json:', error);
+    return {};
+  }
+  return state.items;
+}
+
+// Header legend: one badge per taxonomy category, listing its tags on hover
+function renderThreatLegend() {
+  const legend = document.getElementById('threatLegend');
+  if (!legend) return;
+
+  legend.innerHTML = '';
+  Object.entries(THREAT_TAXONOMY.CATEGORIES).forEach(([category, { label, description }]) => {
+    const badge = document.createElement('span');
+    badge.className = `cd-badge cd-${category}`;
+    badge.textContent = label;
+    badge.title = `${description}\n${THREAT_TAXONOMY.tagsByCategory(category).join(', ')}`;
+    legend.appendChild(badge);
+  });
 }
 
 function setupPatchNotesLink() {
@@ -240,7 +333,7 @@ function clearADCAutocomplete() {
   if (container) container.innerHTML = '';
 }
 
-function selectADC(champion) {
+async function selectADC(champion) {
   state.selectedADC = champion;
   
   const input = document.getElementById('adcInput');
@@ -275,10 +368,261 @@ function selectADC(champion) {
   championLink.appendChild(name);
   selectedDiv.appendChild(championLink);
   
+  await fetchADCTips(champion);
+  // Another ADC may have been picked while the tips were loading
+  if (state.selectedADC !== champion) return;
+  
+  renderGamePlan(champion);
   updateUIState();
   updateTable();
 }
 
+// Section labels for the tip file macro block, in display order
+const GAME_PLAN_SECTIONS = [
+  { key: 'tempo_advantage', label: '⏩ Tempo Advantage' },
+  { key: 'wave_management', label: '🌊 Wave Management' },
+  { key: 'key_timer', label: '⏱️ Key Timer' }
+];
+
+/**
+ * Render the collapsible game-plan panel from the ADC's tip file macro block
+ * Hidden when the selected ADC has no macro template
+ */
+function renderGamePlan(champion) {
+  const panel = document.getElementById('gamePlan');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+  const macro = champion ? getADCTips(champion)?.macro : null;
+
+  if (!macro) {
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const summary = document.createElement('summary');
+  summary.textContent = `📋 ${champion.name} Game Plan`;
+  panel.appendChild(summary);
+
+  const sources = [getAbilitySource(champion)];
+  const body = document.createElement('div');
+  body.className = 'game-plan-body';
+
+  GAME_PLAN_SECTIONS.forEach(section => {
+    if (!macro[section.key]) return;
+
+    const block = document.createElement('div');
+    block.className = 'game-plan-section';
+
+    const title = document.createElement('div');
+    title.className = 'game-plan-title';
+    title.textContent = section.label;
+    block.appendChild(title);
+
+    const text = document.createElement('p');
+    text.className = 'game-plan-text';
+    appendTipText(text, macro[section.key].text, sources);
+    block.appendChild(text);
+    block.appendChild(createTipSourceBadge('curated', macro[section.key]));
+
+    body.appendChild(block);
+  });
+
+  panel.appendChild(body);
+  panel.classList.remove('hidden');
+}
+
+/**
+ * Build an ability source ({ name, abilities }) for tip references
+ * Prefers champions-summary.json (cooldowns + curated threat tags), falls back to DDragon detail
+ */
+function getAbilitySource(champion, detail = null) {
+  const summaryData = getSummaryData(champion);
+  if (summaryData?.abilities) return summaryData;
+  if (!detail?.spells) return null;
+
+  const keys = ['Q', 'W', 'E', 'R'];
+  return {
+    name: detail.name,
+    abilities: detail.spells.map((spell, i) => ({
+      key: keys[i],
+      name: spell.name,
+      cd: spell.cooldown || [],
+      threat: []
+    }))
+  };
+}
+
+// Compact cooldown text: drop repeated trailing ranks ("120/100/80/80/80/80" -> "120/100/80s")
+function formatCooldowns(cooldowns) {
+  return formatRankValues(cooldowns, 's');
+}
+
+// Highest rank offered per key in the cooldown settings (summary cd arrays hold six ranks)
+const ABILITY_MAX_RANKS = { Q: 6, W: 6, E: 6, R: 3 };
+
+// Ultimate haste from Ultimate Hunter at full stacks (6 + 5 per unique takedown, 5 stacks)
+const ULTIMATE_HUNTER_HASTE = 31;
+
+// Ranks implied by a champion level: R at 6/11/16, basic abilities at their maxed-first rank
+// (level 1 -> 1, 3 -> 2 ... 9 -> 5), i.e. the shortest cooldown the enemy can have by then
+function inferAbilityRank(key, level) {
+  if (key === 'R') return level >= 16 ? 3 : level >= 11 ? 2 : level >= 6 ? 1 : 0;
+  return Math.min(5, Math.ceil(level / 2));
+}
+
+// Selected rank for a key: explicit rank, else inferred from the level, else null (all ranks)
+function getAbilityRank(key) {
+  const { ranks, level } = state.cooldownSettings;
+  if (ranks[key]) return ranks[key];
+  return level ? inferAbilityRank(key, level) : null;
+}
+
+// Ability haste for a champion's key: per-enemy override or the global value, plus Ultimate Hunter on R
+function getAbilityHaste(champion, key) {
+  const settings = state.cooldownSettings;
+  const override = champion ? settings.enemyHaste[CHAMPION_IDENTITY.resolve(champion)] : undefined;
+  const haste = override ?? settings.haste;
+  return haste + (key === 'R' && settings.ultimateHunter ? ULTIMATE_HUNTER_HASTE : 0);
+}
+
+// Click-to-start enemy ability timers, persisted in localStorage so they survive re-renders and reloads
+const ABILITY_TIMER_STORAGE_KEY = 'ability_timers';
+// Expired timers flash "Ready" for this long (ms), then clear themselves
+const ABILITY_TIMER_READY_MS = 15000;
+// Hotkey: enemy slot number (1-5), then Q/W/E/R (or F for Flash) within this window (ms)
+const ABILITY_TIMER_HOTKEY_MS = 1500;
+
+// Enemy summoner spells for the timer board: base cooldown (s) and icon
+const ENEMY_SUMMONER_SPELLS = {
+  Flash: { cooldown: 300, icon: '⚡' },
+  Ignite: { cooldown: 180, icon: '🔥' },
+  Exhaust: { cooldown: 240, icon: '💤' },
+  Teleport: { cooldown: 360, icon: '🌀' },
+  Cleanse: { cooldown: 240, icon: '✨' },
+  Heal: { cooldown: 240, icon: '💚' },
+  Barrier: { cooldown: 180, icon: '🛡️' },
+  Ghost: { cooldown: 240, icon: '👟' },
+  Smite: { cooldown: 90, icon: '🗡️' }
+};
+
+// Summoner spell haste sources, toggled per enemy
+const SUMMONER_HASTE_MODIFIERS = {
+  ionianBoots: { label: 'Ionian Boots of Lucidity', short: 'Boots', haste: 10 },
+  cosmicInsight: { label: 'Cosmic Insight', short: 'Cosmic', haste: 18 }
+};
+
+// Default second summoner spell by enemy role
+const ROLE_SUMMONER_SPELLS = { top: 'Teleport', jungle: 'Smite', mid: 'Ignite', bot: 'Heal', support: 'Ignite' };
+
+const ENEMY_SUMMONERS_STORAGE_KEY = 'enemy_summoners';
+const MY_SUMMONER_STORAGE_KEY = 'my_summoner';
+const GAME_CLOCK_STORAGE_KEY = 'game_clock_start';
+
+// Cooldown after ability haste: cd x 100 / (100 + AH), one decimal
+function applyAbilityHaste(cooldown, haste) {
+  return Math.round((cooldown * 100 / (100 + haste)) * 10) / 10;
+}
+
+/**
+ * Cooldown badge text and tooltip for the current cooldown settings
+ * One number when a rank is selected (clamped to the array, so six-rank summary arrays work), else every rank
+ * `seconds` is the effective cooldown a timer should run for (rank 1 when no rank is selected, null if not learned)
+ */
+function describeCooldown(cooldowns, key, champion) {
+  const haste = getAbilityHaste(champion, key);
+  const rank = getAbilityRank(key);
+  const allRanks = `All ranks: ${cooldowns.join('/')}s`;
+  const hasteNote = haste > 0 ? ` with ${haste} ability haste` : '';
+
+  if (rank === 0) {
+    return { text: '–', title: `Not learned yet at level ${state.cooldownSettings.level}\n${allRanks}`, seconds: null };
+  }
+  if (!rank) {
+    return {
+      text: `${cooldowns.map(cd => applyAbilityHaste(cd, haste)).join('/')}s`,
+      title: haste > 0 ? `Every rank${hasteNote}\n${allRanks}` : '',
+      seconds: applyAbilityHaste(cooldowns[0], haste)
+    };
+  }
+
+  const index = Math.min(rank, cooldowns.length) - 1;
+  const seconds = applyAbilityHaste(cooldowns[index], haste);
+  return {
+    text: `${seconds}s`,
+    title: `Rank ${index + 1}: ${cooldowns[index]}s base${hasteNote}\n${allRanks}`,
+    seconds
+  };
+}
+
+// Join per-rank values ("10/9/8"), dropping repeated trailing ranks (summary data pads to 6)
+function formatRankValues(values, suffix = '') {
+  const ranks = [...(values || [])];
+  while (ranks.length > 1 && ranks[ranks.length - 1] === ranks[ranks.length - 2]) {
+    ranks.pop();
+  }
+  return ranks.length > 0 ? `${ranks.join('/')}${suffix}` : '';
+}
+
+/**
+ * Create an inline chip for an ability reference in tip text
+ * Shows key, current cooldown and threat classification; warning style if a name no longer matches
+ */
+function createAbilityChip(text, parts, sources) {
+  const chip = document.createElement('span');
+  const stale = parts.some(part => !part.source);
+  const firstClass = parts
+    .map(part => classifyThreatTags(part.ability?.threat)[0])
+    .find(Boolean);
+
+  chip.className = `ability-chip ${stale ? 'ability-chip-stale' : `threat-${firstClass?.color || 'medium'}`}`;
+  chip.appendChild(document.createTextNode(text));
+
+  const titles = [];
+  parts.forEach(part => {
+    const meta = document.createElement('span');
+    meta.className = 'ability-chip-meta';
+
+    if (part.source) {
+      const classification = classifyThreatTags(part.ability.threat)[0];
+      meta.textContent = [part.key, formatCooldowns(part.ability.cd), classification?.ccType]
+        .filter(Boolean)
+        .join(' · ');
+      titles.push(`${part.source.name} ${part.key} - ${part.ability.name}`);
+    } else {
+      const current = sources
+        .filter(Boolean)
+        .map(source => {
+          const ability = source.abilities.find(a => a.key === part.key);
+          return ability ? `${source.name} ${part.key} is "${ability.name}"` : null;
+        })
+        .filter(Boolean);
+      meta.textContent = `⚠ ${part.key}`;
+      titles.push(`"${part.name}" doesn't match a current ability name. ${current.join(', ')}`);
+    }
+
+    chip.appendChild(meta);
+  });
+
+  chip.title = titles.join('\n');
+  return chip;
+}
+
+/**
+ * Append tip text to an element, turning ability references into chips
+ */
+function appendTipText(element, text, sources) {
+  let cursor = 0;
+
+  ABILITY_REFERENCES.find(text, sources).forEach(ref => {
+    element.appendChild(document.createTextNode(text.slice(cursor, ref.index)));
+    element.appendChild(createAbilityChip(text.slice(ref.index, ref.index + ref.length), ref.parts, sources));
+    cursor = ref.index + ref.length;
+  });
+
+  element.appendChild(document.createTextNode(text.slice(cursor)));
+}
+
 function updateUIState() {
   const warning = document.getElementById('adcWarning');
   const teamsContainer = document.getElementById('teamsContainer');
@@ -347,9 +691,41 @@ function createInput(team, index) {
 
   wrapper.appendChild(input);
   wrapper.appendChild(deleteBtn);
+  if (team === 'enemy') {
+    wrapper.appendChild(createRoleSelect(index));
+  }
   return wrapper;
 }
 
+// Role override for an enemy slot; "Auto" shows the inferred role
+function createRoleSelect(index) {
+  const select = document.createElement('select');
+  select.className = 'role-select';
+  select.dataset.index = index;
+  select.title = 'Enemy role (Auto = inferred)';
+  select.setAttribute('aria-label', `Enemy ${index + 1} role`);
+  select.add(new Option('Auto', ''));
+  CHAMPION_ROLES.ROLES.forEach(role => select.add(new Option(CHAMPION_ROLES.LABELS[role], role)));
+  select.addEventListener('change', () => {
+    if (select.value) {
+      state.enemyRoleOverrides[index] = select.value;
+    } else {
+      delete state.enemyRoleOverrides[index];
+    }
+    updateTable();
+  });
+  return select;
+}
+
+// Show each enemy slot's inferred role in its "Auto" option
+function refreshRoleSelects() {
+  const roles = getEnemyRoles();
+  document.querySelectorAll('.role-select').forEach(select => {
+    const role = roles[select.dataset.index];
+    select.options[0].text = role && !select.value ? `Auto: ${CHAMPION_ROLES.LABELS[role]}` : 'Auto';
+  });
+}
+
 function handleInput(input) {
   const query = input.value.toLowerCase().trim();
 
@@ -465,6 +841,10 @@ function selectChampion(team, index, champion) {
 function removeChampion(team, index) {
   if (team === 'enemy') {
     state.enemies[index] = undefined;
+    // The role picked for the old champion doesn't carry over to the next one typed into the slot
+    delete state.enemyRoleOverrides[index];
+    const roleSelect = document.querySelector(`.role-select[data-index="${index}"]`);
+    if (roleSelect) roleSelect.value = '';
   } else {
     state.allies[index] = undefined;
   }
@@ -474,6 +854,419 @@ function removeChampion(team, index) {
 function setupListeners() {
   const clearBtn = document.getElementById('clearBtn');
   clearBtn.addEventListener('click', clearAll);
+  renderCooldownSettings();
+}
+
+/**
+ * Cooldown settings panel: ability haste, champion level (infers ranks), per-key rank and Ultimate Hunter
+ * Every change re-renders the table so the cooldown badges show one effective number
+ */
+function renderCooldownSettings() {
+  const container = document.getElementById('cooldownSettings');
+  const settings = state.cooldownSettings;
+  container.innerHTML = '';
+
+  const addField = (labelText, control) => {
+    const label = document.createElement('label');
+    label.className = 'cooldown-setting';
+    label.append(labelText, control);
+    container.appendChild(label);
+    return control;
+  };
+  const createSelect = (options, value) => {
+    const select = document.createElement('select');
+    options.forEach(([optionValue, text]) => select.add(new Option(text, optionValue)));
+    select.value = value ?? '';
+    return select;
+  };
+
+  const title = document.createElement('span');
+  title.className = 'cooldown-settings-title';
+  title.textContent = '⏱️ Cooldowns';
+  container.appendChild(title);
+
+  const haste = document.createElement('input');
+  haste.type = 'number';
+  haste.min = '0';
+  haste.max = '500';
+  haste.value = settings.haste;
+  addField('Ability haste', haste).addEventListener('change', () => {
+    settings.haste = Math.max(0, parseInt(haste.value, 10) || 0);
+    haste.value = settings.haste;
+    updateTable();
+  });
+
+  const levels = Array.from({ length: 18 }, (_, i) => [String(i + 1), String(i + 1)]);
+  const level = createSelect([['', 'All ranks'], ...levels], settings.level);
+  addField('Level', level).addEventListener('change', () => {
+    settings.level = level.value ? parseInt(level.value, 10) : null;
+    // A new level re-infers every rank
+    Object.keys(settings.ranks).forEach(key => { settings.ranks[key] = null; });
+    renderCooldownSettings();
+    updateTable();
+  });
+
+  Object.entries(ABILITY_MAX_RANKS).forEach(([key, maxRank]) => {
+    const inferred = settings.level ? inferAbilityRank(key, settings.level) : null;
+    const ranks = Array.from({ length: maxRank }, (_, i) => [String(i + 1), String(i + 1)]);
+    const rank = createSelect([['', inferred === null ? 'All' : `Auto (${inferred})`], ...ranks], settings.ranks[key]);
+    rank.title = `${key} rank`;
+    addField(key, rank).addEventListener('change', () => {
+      settings.ranks[key] = rank.value ? parseInt(rank.value, 10) : null;
+      updateTable();
+    });
+  });
+
+  const ultimateHunter = document.createElement('input');
+  ultimateHunter.type = 'checkbox';
+  ultimateHunter.checked = settings.ultimateHunter;
+  addField('', ultimateHunter);
+  const hunterLabel = ultimateHunter.parentElement;
+  hunterLabel.title = `+${ULTIMATE_HUNTER_HASTE} ultimate haste on R (full stacks)`;
+  hunterLabel.append(' Ultimate Hunter');
+  ultimateHunter.addEventListener('change', () => {
+    settings.ultimateHunter = ultimateHunter.checked;
+    updateTable();
+  });
+}
+
+// Timer key for an enemy ability: "Thresh:Q", or "Nidalee:Cougar:Q" for a form ability
+function abilityTimerKey(champion, key, formName = null) {
+  return [CHAMPION_IDENTITY.resolve(champion) || champion.id, formName, key].filter(Boolean).join(':');
+}
+
+// Timer for an enemy ability badge: { key, label } ("Nidalee Cougar Q" in the timer strip)
+function abilityTimer(champion, key, formName = null) {
+  return {
+    key: abilityTimerKey(champion, key, formName),
+    label: [champion.name, formName, key].filter(Boolean).join(' ')
+  };
+}
+
+// Saved timers, dropping any that finished flashing while the page was closed
+function loadAbilityTimers() {
+  const timers = loadStoredJson(ABILITY_TIMER_STORAGE_KEY, {});
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(timers).filter(([, timer]) => !isAbilityTimerDone(timer, now)));
+}
+
+function saveAbilityTimers() {
+  localStorage.setItem(ABILITY_TIMER_STORAGE_KEY, JSON.stringify(state.abilityTimers));
+}
+
+function isAbilityTimerDone(timer, now) {
+  return now >= timer.start + timer.duration * 1000 + ABILITY_TIMER_READY_MS;
+}
+
+// Start a timer, or reset it if it is already running or flashing
+function toggleAbilityTimer(timerKey, seconds, label = timerKey) {
+  if (state.abilityTimers[timerKey]) {
+    delete state.abilityTimers[timerKey];
+  } else {
+    state.abilityTimers[timerKey] = { start: Date.now(), duration: seconds, label };
+  }
+  saveAbilityTimers();
+  refreshAbilityTimers();
+}
+
+// Runs every second: clear finished timers, redraw every timer badge and slot, and the timer strip
+function refreshAbilityTimers() {
+  const now = Date.now();
+  const done = Object.keys(state.abilityTimers).filter(key => isAbilityTimerDone(state.abilityTimers[key], now));
+  if (done.length > 0) {
+    done.forEach(key => delete state.abilityTimers[key]);
+    saveAbilityTimers();
+  }
+  document.querySelectorAll('[data-timer-key]').forEach(updateTimerBadge);
+  renderTimerStrip();
+}
+
+// Seconds until a timer is up (0 or less once it has expired)
+function getTimerRemaining(timer) {
+  return Math.ceil((timer.start + timer.duration * 1000 - Date.now()) / 1000);
+}
+
+// Badge text for its timer: countdown while running, flashing "Ready" once expired, cooldown text otherwise
+function updateTimerBadge(badge) {
+  const timer = state.abilityTimers[badge.dataset.timerKey];
+  const remaining = timer ? getTimerRemaining(timer) : null;
+
+  badge.classList.toggle('cd-timer-running', remaining !== null && remaining > 0);
+  badge.classList.toggle('cd-timer-ready', remaining !== null && remaining <= 0);
+  if (remaining === null) {
+    badge.textContent = badge.dataset.cooldownText;
+  } else if (remaining > 0) {
+    badge.textContent = `⏳ ${formatTimer(remaining)}`;
+  } else {
+    badge.textContent = '✅ Ready';
+  }
+}
+
+// 75 -> "1:15", 9 -> "9s"
+function formatTimer(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Hotkeys: press an enemy slot number (1-5), then Q/W/E/R (or F for Flash) to start or reset that timer
+function setupAbilityTimerHotkeys() {
+  let pendingSlot = null;
+  let pendingAt = 0;
+
+  document.addEventListener('keydown', event => {
+    if (event.ctrlKey || event.metaKey || event.altKey || event.target.closest?.('input, select, textarea')) return;
+
+    if (/^[1-5]$/.test(event.key)) {
+      pendingSlot = parseInt(event.key, 10) - 1;
+      pendingAt = Date.now();
+      return;
+    }
+
+    const key = event.key.toUpperCase();
+    const slot = pendingSlot;
+    pendingSlot = null;
+    if (slot === null || !['Q', 'W', 'E', 'R', 'F'].includes(key) || Date.now() - pendingAt > ABILITY_TIMER_HOTKEY_MS) return;
+
+    const champion = state.enemies[slot];
+    if (!champion) return;
+    const flashSlot = getEnemySummoners(champion).spells.indexOf('Flash');
+    if (key === 'F' && flashSlot === -1) return;
+    const timerKey = key === 'F' ? summonerTimerKey(champion, flashSlot) : abilityTimerKey(champion, key);
+    const badge = document.querySelector(`[data-timer-key="${timerKey}"]`);
+    if (badge) {
+      event.preventDefault();
+      badge.click();
+    }
+  });
+}
+
+// Enemy slot number shown in the Team cell, the first half of the timer hotkey
+function createTimerHotkeyHint(champion) {
+  const slot = state.enemies.indexOf(champion) + 1;
+  const hint = document.createElement('kbd');
+  hint.className = 'timer-hotkey';
+  hint.textContent = slot;
+  hint.title = `Timer hotkeys: press ${slot}, then Q/W/E/R (F for Flash)`;
+  return hint;
+}
+
+// Timer key for an enemy's summoner slot (0 or 1): "Thresh:summoner0"
+// Keyed by slot, not spell, so two slots never share a timer and a changed spell drops the old one
+function summonerTimerKey(champion, slot) {
+  return `${CHAMPION_IDENTITY.resolve(champion) || champion.id}:summoner${slot}`;
+}
+
+function loadStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    console.warn(`Ignoring saved ${key}:`, error);
+    return fallback;
+  }
+}
+
+function saveEnemySummoners() {
+  localStorage.setItem(ENEMY_SUMMONERS_STORAGE_KEY, JSON.stringify(state.enemySummoners));
+}
+
+// Summoner slots for an enemy: Flash plus the usual second spell for its role
+function getEnemySummoners(champion) {
+  const id = CHAMPION_IDENTITY.resolve(champion) || champion.id;
+  if (!state.enemySummoners[id]) {
+    const second = ROLE_SUMMONER_SPELLS[getEnemyRole(champion)] || 'Ignite';
+    state.enemySummoners[id] = { spells: ['Flash', second], ionianBoots: false, cosmicInsight: false };
+  }
+  return state.enemySummoners[id];
+}
+
+// Summoner spell cooldown for an enemy after Ionian Boots / Cosmic Insight
+function getSummonerCooldown(spell, summoners) {
+  const haste = Object.entries(SUMMONER_HASTE_MODIFIERS)
+    .filter(([modifier]) => summoners[modifier])
+    .reduce((total, [, modifier]) => total + modifier.haste, 0);
+  return Math.round(applyAbilityHaste(ENEMY_SUMMONER_SPELLS[spell].cooldown, haste));
+}
+
+/**
+ * Summoner spell board for an enemy row: two spell slots (click to start or reset the timer)
+ * and the summoner haste toggles; timers share the ability timer store and the timer strip
+ */
+function createSummonerSlots(champion) {
+  const summoners = getEnemySummoners(champion);
+  const container = document.createElement('div');
+  container.className = 'summoner-slots';
+
+  const rerender = () => {
+    saveEnemySummoners();
+    container.replaceWith(createSummonerSlots(champion));
+  };
+
+  summoners.spells.forEach((spell, index) => {
+    const slot = document.createElement('span');
+    slot.className = 'summoner-slot';
+
+    const select = document.createElement('select');
+    select.className = 'summoner-slot-spell';
+    select.title = 'Summoner spell';
+    Object.keys(ENEMY_SUMMONER_SPELLS).forEach(name => select.add(new Option(name, name)));
+    select.value = spell;
+    select.addEventListener('change', () => {
+      summoners.spells[index] = select.value;
+      // The running timer belonged to the old spell
+      delete state.abilityTimers[summonerTimerKey(champion, index)];
+      saveAbilityTimers();
+      renderTimerStrip();
+      rerender();
+    });
+    slot.appendChild(select);
+
+    const cooldown = getSummonerCooldown(spell, summoners);
+    const timerKey = summonerTimerKey(champion, index);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'summoner-slot-timer';
+    button.dataset.timerKey = timerKey;
+    button.dataset.cooldownText = `${ENEMY_SUMMONER_SPELLS[spell].icon} ${formatTimer(cooldown)}`;
+    button.title = `${spell}: ${cooldown}s - click to start the timer (click again to reset)`;
+    button.addEventListener('click', () => toggleAbilityTimer(timerKey, cooldown, `${champion.name} ${spell}`));
+    updateTimerBadge(button);
+    slot.appendChild(button);
+
+    container.appendChild(slot);
+  });
+
+  Object.entries(SUMMONER_HASTE_MODIFIERS).forEach(([modifier, { label, short, haste }]) => {
+    const toggle = document.createElement('label');
+    toggle.className = 'summoner-modifier';
+    toggle.title = `${label}: +${haste} summoner spell haste`;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = summoners[modifier];
+    checkbox.addEventListener('change', () => {
+      summoners[modifier] = checkbox.checked;
+      rerender();
+    });
+    toggle.append(checkbox, ` ${short}`);
+    container.appendChild(toggle);
+  });
+
+  return container;
+}
+
+// Game time as "14:32" (negative values clamp to 0:00)
+function formatGameTime(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Current game time in seconds from the synced game clock, or null if it hasn't been set
+function getGameTime() {
+  return state.gameClockStart === null ? null : (Date.now() - state.gameClockStart) / 1000;
+}
+
+// Running timers (not yet expired), soonest first
+function getRunningTimers() {
+  return Object.entries(state.abilityTimers)
+    .map(([key, timer]) => ({ label: key, ...timer, remaining: getTimerRemaining(timer) }))
+    .filter(timer => timer.remaining > 0)
+    .sort((a, b) => a.remaining - b.remaining);
+}
+
+// Chat text for running timers: "Thresh Flash 14:32" with a game clock, "Thresh Flash in 4:10" without
+function formatTimersForChat() {
+  return getRunningTimers()
+    .map(timer => {
+      const readyAt = state.gameClockStart === null
+        ? `in ${formatTimer(timer.remaining)}`
+        : formatGameTime((timer.start + timer.duration * 1000 - state.gameClockStart) / 1000);
+      return `${timer.label} ${readyAt}`;
+    })
+    .join(' | ');
+}
+
+// Compact strip at the top listing everything on cooldown, plus the game clock
+// Shown whenever the enemy rows (the timer board) are, so the clock can be set before the first timer
+function renderTimerStrip() {
+  const strip = document.getElementById('timerStrip');
+  if (!strip) return;
+
+  const timers = getRunningTimers();
+  const boardShown = Boolean(state.selectedADC) && state.enemies.some(Boolean);
+  strip.classList.toggle('hidden', !boardShown && timers.length === 0);
+  document.getElementById('copyTimersBtn').disabled = timers.length === 0;
+
+  const items = document.getElementById('timerStripItems');
+  items.innerHTML = '';
+  if (timers.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'timer-strip-empty';
+    empty.textContent = 'Nothing yet - click an ability or summoner badge to start its timer';
+    items.appendChild(empty);
+  }
+  timers.forEach(timer => {
+    const item = document.createElement('span');
+    item.className = 'timer-strip-item';
+    item.textContent = `${timer.label} ${formatTimer(timer.remaining)}`;
+    items.appendChild(item);
+  });
+
+  const clock = document.getElementById('gameClockInput');
+  const gameTime = getGameTime();
+  if (document.activeElement !== clock) {
+    clock.value = gameTime === null ? '' : formatGameTime(gameTime);
+  }
+}
+
+// Game clock and "copy timers" controls in the timer strip
+function setupTimerStrip() {
+  state.enemySummoners = loadStoredJson(ENEMY_SUMMONERS_STORAGE_KEY, {});
+  state.gameClockStart = loadStoredJson(GAME_CLOCK_STORAGE_KEY, null);
+
+  const clock = document.getElementById('gameClockInput');
+  clock.addEventListener('change', () => {
+    const match = clock.value.trim().match(/^(\d{1,2}):([0-5]\d)$/);
+    state.gameClockStart = match
+      ? Date.now() - (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 1000
+      : null;
+    localStorage.setItem(GAME_CLOCK_STORAGE_KEY, JSON.stringify(state.gameClockStart));
+    renderTimerStrip();
+  });
+
+  const copyBtn = document.getElementById('copyTimersBtn');
+  copyBtn.addEventListener('click', async () => {
+    const text = formatTimersForChat();
+    if (!text) return;
+    try {
+      await navigator.clipboard.writeText(text);
+      copyBtn.textContent = '✅ Copied';
+      setTimeout(() => { copyBtn.textContent = '📋 Copy timers'; }, 1500);
+    } catch (error) {
+      // Clipboard blocked (e.g. not HTTPS) - let the user copy it by hand
+      window.prompt('Copy timers:', text);
+    }
+  });
+}
+
+// Per-enemy ability haste override in the Team cell (empty = use the global value)
+function createEnemyHasteInput(champion) {
+  const id = CHAMPION_IDENTITY.resolve(champion);
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.max = '500';
+  input.className = 'enemy-haste';
+  input.placeholder = 'AH';
+  input.title = `Ability haste for ${champion.name} (empty = ${state.cooldownSettings.haste}, the global value)`;
+  input.value = state.cooldownSettings.enemyHaste[id] ?? '';
+  input.addEventListener('change', () => {
+    if (input.value === '') {
+      delete state.cooldownSettings.enemyHaste[id];
+    } else {
+      state.cooldownSettings.enemyHaste[id] = Math.max(0, parseInt(input.value, 10) || 0);
+    }
+    updateTable();
+  });
+  return input;
 }
 
 function clearAll() {
@@ -483,10 +1276,21 @@ function clearAll() {
   adcInput.value = '';
   adcInput.classList.remove('selected');
   document.getElementById('selectedADC').innerHTML = '';
+  renderGamePlan(null);
 
   // Clear all champion inputs
   state.enemies = [];
   state.allies = [];
+  state.cooldownSettings.enemyHaste = {};
+  state.enemyRoleOverrides = {};
+  document.querySelectorAll('.role-select').forEach(select => { select.value = ''; });
+  state.abilityTimers = {};
+  saveAbilityTimers();
+  state.enemySummoners = {};
+  saveEnemySummoners();
+  state.gameClockStart = null;
+  localStorage.removeItem(GAME_CLOCK_STORAGE_KEY);
+  renderTimerStrip();
 
   const inputs = document.querySelectorAll('#enemyInputs input, #allyInputs input');
   inputs.forEach(input => {
@@ -500,7 +1304,11 @@ function clearAll() {
   updateTable();
 }
 
+// Incremented per table render so a slow render can't overwrite a newer one
+let tableRenderId = 0;
+
 async function updateTable() {
+  const renderId = ++tableRenderId;
   const tbody = document.getElementById('threatBody');
   
   const allChamps = [
@@ -508,25 +1316,77 @@ async function updateTable() {
     ...state.allies.filter(c => c)
   ];
   
+  refreshRoleSelects();
+  renderTeamAnalysis();
+  renderTimerStrip();
+  
   if (!state.selectedADC || allChamps.length === 0) {
     tbody.innerHTML = '<tr><td colspan="5" class="empty">Select your ADC and add champions to see analysis</td></tr>';
     return;
   }
   
+  // Score enemies first so the table can list the biggest threat at the top
+  let scores = new Map();
+  try {
+    scores = await computeThreatScores();
+  } catch (error) {
+    console.error('Threat scoring failed:', error);
+  }
+  if (renderId !== tableRenderId) return;
+
+  const enemies = state.enemies
+    .filter(c => c)
+    .sort((a, b) => (scores.get(b)?.score || 0) - (scores.get(a)?.score || 0));
+  const topThreat = scores.get(enemies[0])?.score > 0 ? enemies[0] : null;
+
+  // Enemy bot duo first as "your lane", then the other enemies - each section by threat score
+  const roles = getEnemyRoles();
+  const roleOf = champ => roles[state.enemies.indexOf(champ)];
+  const { lane: yourLane, others } = CHAMPION_ROLES.splitLane(enemies, roleOf);
+  const allies = state.allies.filter(c => c);
+
   tbody.innerHTML = '';
-  
-  const enemyCount = state.enemies.filter(c => c).length;
-  
-  for (let i = 0; i < allChamps.length; i++) {
-    const champ = allChamps[i];
-    const isEnemy = i < enemyCount;
-    const row = await createRow(champ, isEnemy);
-    tbody.appendChild(row);
+
+  const sections = [
+    { title: '🎯 Your lane', champions: yourLane, isEnemy: true },
+    { title: '🔴 Other enemies', champions: others, isEnemy: true },
+    { title: '🟢 Allies', champions: allies, isEnemy: false }
+  ];
+  for (const section of sections) {
+    if (section.champions.length === 0) continue;
+    tbody.appendChild(createSectionRow(section.title));
+    for (const champ of section.champions) {
+      const row = section.isEnemy
+        ? await createRow(champ, true, scores.get(champ), champ === topThreat, roleOf(champ))
+        : await createRow(champ, false);
+      tbody.appendChild(row);
+    }
   }
 }
 
-async function createRow(champion, isEnemy) {
+function createSectionRow(title) {
+  const row = document.createElement('tr');
+  row.className = 'table-section';
+  const cell = document.createElement('td');
+  cell.colSpan = 5;
+  cell.textContent = title;
+  row.appendChild(cell);
+  return row;
+}
+
+// Role badge for an enemy row: inferred roles are marked, user-picked ones aren't
+function createRoleBadge(champion, role) {
+  const overridden = Boolean(state.enemyRoleOverrides[state.enemies.indexOf(champion)]);
+  const badge = document.createElement('span');
+  badge.className = `role-badge${overridden ? '' : ' role-badge-inferred'}`;
+  badge.textContent = CHAMPION_ROLES.LABELS[role];
+  badge.title = overridden ? 'Role set by you' : 'Inferred role - change it next to the enemy input';
+  return badge;
+}
+
+async function createRow(champion, isEnemy, threatScore = null, isTopThreat = false, role = null) {
   const row = document.createElement('tr');
+  if (isTopThreat) row.classList.add('top-threat');
   
   // Team
   const teamCell = document.createElement('td');
@@ -534,6 +1394,16 @@ async function createRow(champion, isEnemy) {
   teamBadge.className = `team-badge team-${isEnemy ? 'enemy' : 'ally'}`;
   teamBadge.textContent = isEnemy ? 'Enemy' : 'Ally';
   teamCell.appendChild(teamBadge);
+  if (role) {
+    teamCell.appendChild(createRoleBadge(champion, role));
+  }
+  if (threatScore) {
+    teamCell.appendChild(createThreatScoreBadge(threatScore, isTopThreat));
+  }
+  if (isEnemy) {
+    teamCell.appendChild(createEnemyHasteInput(champion));
+    teamCell.appendChild(createTimerHotkeyHint(champion));
+  }
   row.appendChild(teamCell);
   
   // Champion (with wikilol link)
@@ -554,6 +1424,9 @@ async function createRow(champion, isEnemy) {
   champLink.appendChild(img);
   champLink.appendChild(document.createTextNode(champion.name));
   champCell.appendChild(champLink);
+  if (isEnemy) {
+    champCell.appendChild(createSummonerSlots(champion));
+  }
   row.appendChild(champCell);
   
   // Abilities (loading)
@@ -573,7 +1446,7 @@ async function createRow(champion, isEnemy) {
   
   // Load detailed data asynchronously
   fetchChampionDetail(champion.id).then(detail => {
-    populateAbilities(abilityCell, detail, champion);
+    populateAbilities(abilityCell, detail, champion, isEnemy);
     populateThreats(threatCell, detail, isEnemy, champion);
     populateUnderstanding(understandingCell, champion, detail, isEnemy);
   });
@@ -599,15 +1472,16 @@ function classifyAbility(spell, summaryData, abilityIndex, allowFallbackCC = fal
 
   // If no CC threat found, check for non-CC threats from spell description
   if (classifications.length === 0) {
-    const descClassification = classifyCC(spell);
-    const nonCCThreats = ['Shield', 'Sustain', 'Burst', 'Poke', 'Stealth', 'Mobility'];
+    const descClassifications = classifyDescription(spell);
+    const nonCCThreats = ['Shield', 'Sustain', 'Burst', 'Poke', 'Stealth', 'Mobility', 'Dash'];
+    const nonCC = descClassifications.filter(c => nonCCThreats.includes(c.ccType));
 
-    if (descClassification && nonCCThreats.includes(descClassification.ccType)) {
-      // Always use non-CC threats from description
-      classifications = [descClassification];
-    } else if (allowFallbackCC && !hasAbilitySummary) {
+    if (allowFallbackCC && !hasAbilitySummary) {
       // Only use CC from description if explicitly allowed and no summary data exists
-      classifications = [descClassification];
+      classifications = descClassifications;
+    } else if (nonCC.length > 0) {
+      // Always use non-CC threats from description
+      classifications = nonCC;
     }
   }
 
@@ -616,417 +1490,295 @@ function classifyAbility(spell, summaryData, abilityIndex, allowFallbackCC = fal
 
 /**
  * Convert threat tags from champions-summary.json to classification format
- * Now uses SPECIFIC CC TYPES from wikilol
- * Returns ARRAY of all matching classifications
+ * Definitions (cleansability, colour, priority) come from THREAT_TAXONOMY in threat-taxonomy.js
+ * Returns ARRAY of all matching classifications, highest priority first; throws on unknown tags
  */
 function classifyThreatTags(threatTags) {
   if (!threatTags || threatTags.length === 0) return [];
+  return THREAT_TAXONOMY.classify(threatTags);
+}
 
-  // Define cleansability for each CC type (from wikilol)
-  const ccClassifications = {
-    // Airborne - NOT cleansable (forced movement)
-    'KNOCKUP': { type: 'hard', ccType: 'Knockup', cleansable: false, qssOnly: false, color: 'hard' },
-    'KNOCKBACK': { type: 'hard', ccType: 'Knockback', cleansable: false, qssOnly: false, color: 'hard' },
-    'PULL': { type: 'hard', ccType: 'Pull', cleansable: false, qssOnly: false, color: 'hard' },
-
-    // Suppression - NOT cleansable by Cleanse (QSS only)
-    'SUPPRESSION': { type: 'suppression', ccType: 'Suppression', cleansable: false, qssOnly: true, color: 'hard' },
-
-    // Nearsight - NOT cleansable
-    'NEARSIGHT': { type: 'hard', ccType: 'Nearsight', cleansable: false, qssOnly: false, color: 'hard' },
-
-    // Disabling CC - Cleansable
-    'STUN': { type: 'hard', ccType: 'Stun', cleansable: true, color: 'hard' },
-    'ROOT': { type: 'hard', ccType: 'Root', cleansable: true, color: 'hard' },
-    'SNARE': { type: 'hard', ccType: 'Root', cleansable: true, color: 'hard' },
-    'SLEEP': { type: 'hard', ccType: 'Sleep', cleansable: true, color: 'hard' },
-    'CHARM': { type: 'hard', ccType: 'Charm', cleansable: true, color: 'hard' },
-    'FEAR': { type: 'hard', ccType: 'Fear', cleansable: true, color: 'hard' },
-    'TAUNT': { type: 'hard', ccType: 'Taunt', cleansable: true, color: 'hard' },
-    'POLYMORPH': { type: 'hard', ccType: 'Polymorph', cleansable: true, color: 'hard' },
-
-    // Impairing CC - Cleansable
-    'SLOW': { type: 'soft', ccType: 'Slow', cleansable: true, color: 'soft' },
-    'SILENCE': { type: 'soft', ccType: 'Silence', cleansable: true, color: 'soft' },
-    'BLIND': { type: 'soft', ccType: 'Blind', cleansable: true, color: 'soft' },
-    'DISARM': { type: 'soft', ccType: 'Disarm', cleansable: true, color: 'soft' },
-    'GROUNDED': { type: 'soft', ccType: 'Grounded', cleansable: true, color: 'soft' },
-    'CRIPPLE': { type: 'soft', ccType: 'Cripple', cleansable: true, color: 'soft' },
-
-    // Non-CC threats - High priority
-    'GAP_CLOSE': { type: 'high', ccType: 'Mobility', cleansable: false, color: 'high' },
-    'DASH': { type: 'high', ccType: 'Dash', cleansable: false, color: 'high' },
-    'STEALTH': { type: 'high', ccType: 'Stealth', cleansable: false, color: 'high' },
-    'DODGE': { type: 'high', ccType: 'Dodge', cleansable: false, color: 'high' },
-    'PROJECTILE_BLOCK': { type: 'high', ccType: 'Projectile Block', cleansable: false, color: 'high' },
-    'UNBREAKABLE_WALL': { type: 'high', ccType: 'Unbreakable Wall', cleansable: false, color: 'high' },
-    'BURST': { type: 'high', ccType: 'Burst', cleansable: false, color: 'high' },
-
-    // Non-CC threats - Medium priority
-    'SHIELD_PEEL': { type: 'medium', ccType: 'Shield', cleansable: false, color: 'medium' },
-    'SHIELD': { type: 'medium', ccType: 'Shield', cleansable: false, color: 'medium' },
-    'BREAKABLE_WALL': { type: 'medium', ccType: 'Breakable Wall', cleansable: false, color: 'medium' },
-    'REVEAL': { type: 'medium', ccType: 'Reveal', cleansable: false, color: 'medium' },
-
-    // Non-CC threats - Low priority
-    'SUSTAIN': { type: 'low', ccType: 'Sustain', cleansable: false, color: 'low' },
-    'GHOST': { type: 'low', ccType: 'Ghost', cleansable: false, color: 'low' }
-  };
-
-  // Find all matching threats (in priority order)
-  const priorityOrder = [
-    'SUPPRESSION', 'NEARSIGHT',
-    'KNOCKUP', 'KNOCKBACK', 'PULL',
-    'STUN', 'ROOT', 'SNARE', 'CHARM', 'FEAR', 'TAUNT', 'SLEEP', 'POLYMORPH',
-    'SILENCE', 'BLIND', 'DISARM', 'GROUNDED', 'CRIPPLE', 'SLOW',
-    'DODGE', 'PROJECTILE_BLOCK', 'UNBREAKABLE_WALL', 'STEALTH', 'GAP_CLOSE', 'DASH',
-    'BREAKABLE_WALL', 'REVEAL', 'SHIELD_PEEL', 'SHIELD',
-    'SUSTAIN', 'GHOST'
-  ];
-
-  const matchedClassifications = [];
-  for (const ccType of priorityOrder) {
-    if (threatTags.includes(ccType)) {
-      matchedClassifications.push(ccClassifications[ccType]);
-    }
-  }
-
-  return matchedClassifications;
-}
+/**
+ * Classify an ability from its DDragon description with the CC_RULES keyword table (cc-rules.js)
+ * Returns every matching classification above CC_RULES.MIN_CONFIDENCE, most confident first,
+ * in the same format as classifyThreatTags plus a `confidence` score
+ */
+function classifyDescription(spell) {
+  return CC_RULES.classify(spell, CC_RULES.MIN_CONFIDENCE)
+    .map(({ tag, confidence }) => {
+      const [classification] = classifyThreatTags([tag]);
+      return classification && { ...classification, confidence };
+    })
+    .filter(Boolean);
+}
 
 /**
- * Classify CC type based on wikilol standards
- * Reference: https://wiki.leagueoflegends.com/en-us/Types_of_Crowd_Control
- * Reference: https://wiki.leagueoflegends.com/en-us/Cleanse
+ * Most confident description-based classification for a spell (null if nothing matches)
  */
 function classifyCC(spell) {
-  const desc = spell.description?.toLowerCase() || '';
-  const name = spell.name?.toLowerCase() || '';
-  
-  // Check for Suppression (special case - only QSS can remove)
-  if (desc.includes('suppress') || desc.includes('suppression')) {
-    return { 
-      type: 'suppression', 
-      ccType: 'Suppression', 
-      cleansable: false,
-      qssOnly: true,
-      color: 'hard'
-    };
-  }
-  
-  // Check for Hard CC (non-cleansable by Cleanse)
-  // Airborne: Disabling effect can be removed but not forced movement
-  if (desc.includes('knock') || desc.includes('airborne') || name.includes('knock')) {
-    return { 
-      type: 'hard', 
-      ccType: 'Airborne', 
-      cleansable: false,
-      color: 'hard',
-      note: 'Partial - disabling can be removed, not movement'
-    };
-  }
-  
-  if (desc.includes('pull') || desc.includes('drag')) {
-    return { 
-      type: 'hard', 
-      ccType: 'Pull', 
-      cleansable: false,
-      color: 'hard',
-      note: 'Partial - disabling can be removed, not movement'
-    };
-  }
-  
-  if (desc.includes('nearsight') || desc.includes('blind zone')) {
-    return { 
-      type: 'hard', 
-      ccType: 'Nearsight', 
-      cleansable: false,
-      color: 'hard'
-    };
-  }
-  
-  // Check for Soft CC (cleansable by Cleanse/QSS)
-  if (desc.includes('stun')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Stun', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('root') || desc.includes('immobilize') || desc.includes('snare')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Root', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('slow')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Slow', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('charm')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Charm', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('fear') || desc.includes('flee')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Fear', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('taunt')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Taunt', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('silence')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Silence', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('blind')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Blind', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('disarm')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Disarm', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('cripple') || (desc.includes('attack speed') && desc.includes('reduc'))) {
-    return { 
-      type: 'soft', 
-      ccType: 'Cripple', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  if (desc.includes('sleep') || desc.includes('drowsy')) {
-    return { 
-      type: 'soft', 
-      ccType: 'Sleep', 
-      cleansable: true,
-      color: 'soft'
-    };
-  }
-  
-  // Check for threats (non-CC)
-  if (desc.includes('dash') || desc.includes('blink') || desc.includes('leap') || 
-      name.includes('dash') || name.includes('leap')) {
-    return { 
-      type: 'high', 
-      ccType: 'Mobility', 
-      cleansable: false,
-      color: 'high'
-    };
-  }
-  
-  if (desc.includes('burst') || (desc.includes('damage') && desc.includes('bonus')) || desc.includes('maximum health') || desc.includes('missing health')) {
-    return { 
-      type: 'high', 
-      ccType: 'Burst', 
-      cleansable: false,
-      color: 'high'
-    };
-  }
-  
-  if (desc.includes('stealth') || desc.includes('invisible') || desc.includes('camouflage')) {
-    return { 
-      type: 'high', 
-      ccType: 'Stealth', 
-      cleansable: false,
-      color: 'high'
-    };
-  }
-  
-  // Check for medium threats
-  if (desc.includes('shield')) {
-    return { 
-      type: 'medium', 
-      ccType: 'Shield', 
-      cleansable: false,
-      color: 'medium'
-    };
-  }
-  
-  if (desc.includes('poke')) {
-    return { 
-      type: 'medium', 
-      ccType: 'Poke', 
-      cleansable: false,
-      color: 'medium'
-    };
-  }
-  
-  // Check for low threats
-  if (desc.includes('heal') || desc.includes('his maximum health') || desc.includes('her maximum health') || desc.includes('regenerat')) {
-    return { 
-      type: 'low', 
-      ccType: 'Sustain', 
-      cleansable: false,
-      color: 'low'
-    };
-  }
-  
-  return null;
+  return classifyDescription(spell)[0] || null;
 }
 
-function populateAbilities(cell, detail, champion) {
+function populateAbilities(cell, detail, champion, isEnemy = false) {
   cell.innerHTML = '';
 
   if (!detail.spells) return;
 
   // Get threat data from champions-summary.json
-  const summaryData = state.championsSummary[champion.name] || state.championsSummary[champion.id];
+  const summaryData = getSummaryData(champion);
+
+  const passiveRow = createPassiveRow(detail, summaryData);
+  if (passiveRow) cell.appendChild(passiveRow);
 
   const keys = ['Q', 'W', 'E', 'R'];
   detail.spells.forEach((spell, i) => {
-    const div = document.createElement('div');
-    div.className = 'ability';
+    // Classify ability using shared helper (now returns array)
+    const classifications = classifyAbility(spell, summaryData, i, false);
+    const stats = createAbilityStats(spell, summaryData?.abilities?.[i], detail.partype);
+    const timer = isEnemy ? abilityTimer(champion, keys[i]) : null;
+    cell.appendChild(createAbilityRow(keys[i], spell, classifications, stats, champion, timer));
+  });
 
-    const key = document.createElement('span');
-    key.className = 'ability-key';
-    key.textContent = keys[i];
-    div.appendChild(key);
+  // Alternate forms (Nidalee cougar, Jayce cannon, Mega Gnar...) as sub-rows
+  (summaryData?.forms || []).forEach(form => {
+    cell.appendChild(createFormRows(form, detail.partype, champion, isEnemy));
+  });
+}
 
-    const name = document.createElement('span');
+/**
+ * One Key Abilities row: key, name, cooldown badge with cleansability, stats and threat badges
+ * The cooldown badge follows the cooldown settings (rank, ability haste) for the champion
+ * With a timer ({ key, label }, enemy rows), clicking the badge starts or resets that ability's timer
+ */
+function createAbilityRow(keyLabel, spell, classifications, stats = null, champion = null, timer = null) {
+  const div = document.createElement('div');
+  div.className = 'ability';
 
-    // Classify ability using shared helper (now returns array)
-    const classifications = classifyAbility(spell, summaryData, i, false);
-    const cooldowns = spell.cooldown || [];
+  const key = document.createElement('span');
+  key.className = 'ability-key';
+  key.textContent = keyLabel;
+  div.appendChild(key);
 
-    if (cooldowns.length > 0) {
-      const cdText = cooldowns.join('/');
-      let cdClass = 'cd-medium';
+  const name = document.createElement('span');
+  const cooldowns = spell.cooldown || [];
 
-      // Use the first (highest priority) classification for cooldown badge color
-      if (classifications.length > 0) {
-        cdClass = `cd-${classifications[0].color}`;
-      }
+  if (cooldowns.length > 0) {
+    let cdClass = 'cd-medium';
 
-      let badgeText = `${cdText}s`;
-      let badgeTitle = '';
-
-      // Add cleansability indicator based on wikilol standards (using first classification)
-      if (classifications.length > 0) {
-        const firstClass = classifications[0];
-        if (firstClass.qssOnly) {
-          badgeText += ' 🔒';
-          badgeTitle = 'QSS only - Cannot be removed by Cleanse';
-        } else if (firstClass.cleansable) {
-          badgeText += ' ✓';
-          badgeTitle = 'Cleansable - Can be removed by Cleanse/QSS';
-        } else if (firstClass.ccType === 'Airborne' || firstClass.ccType === 'Pull') {
-          badgeText += ' ✗';
-          badgeTitle = 'NOT Fully Cleansable - Forced movement cannot be removed';
-        } else if (firstClass.ccType === 'Nearsight') {
-          badgeText += ' ✗';
-          badgeTitle = 'NOT Cleansable - Cannot be removed by Cleanse or QSS';
-        }
-      }
+    // Use the first (highest priority) classification for cooldown badge color
+    if (classifications.length > 0) {
+      cdClass = `cd-${classifications[0].color}`;
+    }
 
-      const badge = document.createElement('span');
-      badge.className = `cd-badge ${cdClass}`;
-      badge.textContent = badgeText;
-      if (badgeTitle) {
-        badge.title = badgeTitle;
+    const cooldown = describeCooldown(cooldowns, keyLabel, champion);
+    let badgeText = cooldown.text;
+    let badgeTitle = '';
+
+    // Add cleansability indicator based on wikilol standards (using first classification)
+    if (classifications.length > 0) {
+      const firstClass = classifications[0];
+      if (firstClass.qssOnly) {
+        badgeText += ' 🔒';
+        badgeTitle = 'QSS only - Cannot be removed by Cleanse';
+      } else if (firstClass.cleansable) {
+        badgeText += ' ✓';
+        badgeTitle = 'Cleansable - Can be removed by Cleanse/QSS';
+      } else if (firstClass.forcedMovement) {
+        badgeText += ' ✗';
+        badgeTitle = 'NOT Fully Cleansable - Forced movement cannot be removed';
+      } else if (firstClass.tag === 'NEARSIGHT') {
+        badgeText += ' ✗';
+        badgeTitle = 'NOT Cleansable - Cannot be removed by Cleanse or QSS';
       }
+    }
+
+    // Timer badges are buttons so they can be focused and started from the keyboard
+    const hasTimer = Boolean(timer && cooldown.seconds);
+    const badge = document.createElement(hasTimer ? 'button' : 'span');
+    badge.className = `cd-badge ${cdClass}`;
+    badge.textContent = badgeText;
+    if (hasTimer) {
+      badge.type = 'button';
+      badge.classList.add('cd-timer');
+      badge.dataset.timerKey = timer.key;
+      badge.dataset.cooldownText = badgeText;
+      badge.addEventListener('click', () => toggleAbilityTimer(timer.key, cooldown.seconds, timer.label));
+      badgeTitle = [badgeTitle, `Click to start a ${cooldown.seconds}s timer (click again to reset)`].filter(Boolean).join('\n');
+      updateTimerBadge(badge);
+    }
+    badgeTitle = [badgeTitle, cooldown.title].filter(Boolean).join('\n');
+    if (badgeTitle) {
+      badge.title = badgeTitle;
+    }
 
+    name.innerHTML = spell.name + ' ';
+    name.appendChild(badge);
+
+    if (stats) {
+      name.appendChild(document.createTextNode(' '));
+      name.appendChild(stats);
+    }
+
+    // Display all threat type badges
+    classifications.forEach(classification => {
+      name.appendChild(document.createTextNode(' '));
+      name.appendChild(createThreatTypeBadge(classification));
+    });
+  } else {
+    name.textContent = spell.name;
+
+    // Display threat type badges even without cooldown
+    if (classifications.length > 0) {
       name.innerHTML = spell.name + ' ';
-      name.appendChild(badge);
-
-      // Display all threat type badges
-      if (classifications.length > 0) {
-        classifications.forEach(classification => {
-          const threatBadge = document.createElement('span');
-          threatBadge.className = `threat-type-badge threat-${classification.color}`;
-          threatBadge.textContent = classification.ccType;
-
-          // Add cleansability tooltip
-          let tooltip = classification.ccType;
-          if (classification.qssOnly) {
-            tooltip += ' (QSS only)';
-          } else if (classification.cleansable) {
-            tooltip += ' (Cleansable)';
-          } else if (classification.ccType === 'Airborne' || classification.ccType === 'Pull') {
-            tooltip += ' (Partial)';
-          } else if (classification.ccType === 'Nearsight') {
-            tooltip += ' (Not Cleansable)';
-          }
-          threatBadge.title = tooltip;
-
-          name.appendChild(document.createTextNode(' '));
-          name.appendChild(threatBadge);
-        });
-      }
-    } else {
-      name.textContent = spell.name;
-
-      // Display threat type badges even without cooldown
-      if (classifications.length > 0) {
-        name.innerHTML = spell.name + ' ';
-        classifications.forEach(classification => {
-          const threatBadge = document.createElement('span');
-          threatBadge.className = `threat-type-badge threat-${classification.color}`;
-          threatBadge.textContent = classification.ccType;
-
-          // Add cleansability tooltip
-          let tooltip = classification.ccType;
-          if (classification.qssOnly) {
-            tooltip += ' (QSS only)';
-          } else if (classification.cleansable) {
-            tooltip += ' (Cleansable)';
-          } else if (classification.ccType === 'Airborne' || classification.ccType === 'Pull') {
-            tooltip += ' (Partial)';
-          } else if (classification.ccType === 'Nearsight') {
-            tooltip += ' (Not Cleansable)';
-          }
-          threatBadge.title = tooltip;
-
-          name.appendChild(threatBadge);
-          name.appendChild(document.createTextNode(' '));
-        });
-      }
+      classifications.forEach(classification => {
+        name.appendChild(createThreatTypeBadge(classification));
+        name.appendChild(document.createTextNode(' '));
+      });
     }
+  }
+
+  div.appendChild(name);
+  return div;
+}
+
+// A summary form ability as a DDragon-like spell, so form rows render like the base kit
+function toFormSpell(ability) {
+  return {
+    name: ability.name,
+    cooldown: ability.cd || [],
+    range: ability.range || [],
+    cost: ability.costs || []
+  };
+}
+
+/**
+ * Sub-rows for an alternate form from champions-summary.json `forms`
+ */
+function createFormRows(form, resource, champion = null, isEnemy = false) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'ability-form';
+
+  const title = document.createElement('div');
+  title.className = 'ability-form-name';
+  title.textContent = `🔄 ${form.name}`;
+  wrapper.appendChild(title);
+
+  (form.abilities || []).forEach(ability => {
+    const spell = toFormSpell(ability);
+    const stats = createAbilityStats(spell, ability, resource);
+    const timer = isEnemy ? abilityTimer(champion, ability.key, form.name) : null;
+    wrapper.appendChild(createAbilityRow(ability.key, spell, classifyThreatTags(ability.threat), stats, champion, timer));
+  });
+
+  return wrapper;
+}
+
+/**
+ * Threat type badge with cleansability tooltip, shared by ability and passive rows
+ */
+function createThreatTypeBadge(classification) {
+  const threatBadge = document.createElement('span');
+  threatBadge.className = `threat-type-badge threat-${classification.color}`;
+  threatBadge.textContent = classification.ccType;
+
+  // Add cleansability tooltip
+  let tooltip = classification.ccType;
+  if (classification.qssOnly) {
+    tooltip += ' (QSS only)';
+  } else if (classification.cleansable) {
+    tooltip += ' (Cleansable)';
+  } else if (classification.forcedMovement) {
+    tooltip += ' (Partial)';
+  } else if (classification.tag === 'NEARSIGHT') {
+    tooltip += ' (Not Cleansable)';
+  }
+  threatBadge.title = tooltip;
+
+  return threatBadge;
+}
+
+/**
+ * Every alternate-form ability in a summary entry as [{ form, ability }]
+ */
+function getFormAbilities(summaryData) {
+  return (summaryData?.forms || []).flatMap(form =>
+    (form.abilities || []).map(ability => ({ form, ability }))
+  );
+}
+
+/**
+ * Classify a passive from its curated threat tags in champions-summary.json
+ */
+function classifyPassive(summaryData) {
+  return classifyThreatTags(summaryData?.passive?.threat || []);
+}
+
+/**
+ * "P" row for the Key Abilities cell (description in the tooltip, threat badges from the summary)
+ */
+function createPassiveRow(detail, summaryData) {
+  const passive = detail.passive;
+  if (!passive) return null;
+
+  const div = document.createElement('div');
+  div.className = 'ability ability-passive';
+
+  const key = document.createElement('span');
+  key.className = 'ability-key';
+  key.textContent = 'P';
+  div.appendChild(key);
+
+  const name = document.createElement('span');
+  name.textContent = passive.name;
+  name.title = summaryData?.passive?.desc || DDRAGON_TEXT.stripHtml(passive.description);
+
+  classifyPassive(summaryData).forEach(classification => {
+    name.appendChild(document.createTextNode(' '));
+    name.appendChild(createThreatTypeBadge(classification));
+  });
+
+  div.appendChild(name);
+  return div;
+}
+
+// DDragon uses 25000+ range for global and self-cast abilities
+const GLOBAL_RANGE = 25000;
+
+/**
+ * CC duration, range and cost shown next to the cooldown badge
+ * Range and costs come from champions-summary.json, falling back to DDragon; ccDuration is curated only
+ */
+function createAbilityStats(spell, summaryAbility, resource) {
+  const parts = [];
+
+  const ccDuration = formatRankValues(summaryAbility?.ccDuration, 's');
+  if (ccDuration) parts.push({ text: `⏳ ${ccDuration}`, title: 'CC duration per rank' });
+
+  const range = summaryAbility?.range || spell.range || [];
+  if (range.length > 0 && range.every(value => value >= GLOBAL_RANGE)) {
+    parts.push({ text: '↔ global/self', title: 'Range' });
+  } else if (range.length > 0) {
+    parts.push({ text: `↔ ${formatRankValues(range)}`, title: 'Range per rank' });
+  }
+
+  const costs = summaryAbility?.costs || spell.cost || [];
+  const resourceName = resource && resource !== 'None' ? ` ${resource.toLowerCase()}` : '';
+  if (costs.some(value => value > 0)) {
+    parts.push({ text: `💧 ${formatRankValues(costs)}${resourceName}`, title: 'Cost per rank' });
+  }
+
+  if (parts.length === 0) return null;
 
-    div.appendChild(name);
-    cell.appendChild(div);
+  const stats = document.createElement('span');
+  stats.className = 'ability-stats';
+  parts.forEach(part => {
+    const stat = document.createElement('span');
+    stat.className = 'ability-stat';
+    stat.textContent = part.text;
+    stat.title = part.title;
+    stats.appendChild(stat);
   });
+  return stats;
 }
 
 function populateThreats(cell, detail, isEnemy, champion) {
@@ -1061,10 +1813,10 @@ function populateThreats(cell, detail, isEnemy, champion) {
       } else if (threat.cleansable) {
         note.textContent = '✓ Cleansable';
         note.title = 'Can be removed by Cleanse or QSS';
-      } else if (threat.label === 'Airborne' || threat.label === 'Pull') {
+      } else if (threat.forcedMovement) {
         note.textContent = '✗ Partial';
         note.title = 'Disabling can be removed but not forced movement';
-      } else if (threat.label === 'Nearsight') {
+      } else if (threat.tag === 'NEARSIGHT') {
         note.textContent = '✗ Not Cleansable';
         note.title = 'Cannot be removed by Cleanse or QSS';
       }
@@ -1082,80 +1834,1449 @@ function populateThreats(cell, detail, isEnemy, champion) {
 function analyzeThreats(detail, champion) {
   const threats = [];
   const spells = detail.spells || [];
-  const seenTypes = new Set();
+  const keys = ['Q', 'W', 'E', 'R'];
 
   // Get threat data from champions-summary.json
-  const summaryData = state.championsSummary[champion.name] || state.championsSummary[champion.id];
-
-  spells.forEach((spell, i) => {
-    // Classify ability using shared helper (allow fallback CC if no summary data)
-    const classifications = classifyAbility(spell, summaryData, i, true);
+  const summaryData = getSummaryData(champion);
+
+  // Passive first, then Q/W/E/R, then every alternate form
+  // Each threat keeps the abilities behind it ({ key, form, name, cooldown, range }) for cooldown-aware views
+  // Ranges come from the summary (matched by key), falling back to DDragon
+  const classifiedAbilities = [
+    { key: 'P', name: detail.passive?.name, cooldown: [], range: [], classifications: classifyPassive(summaryData) },
+    ...spells.map((spell, i) => ({
+      key: keys[i],
+      name: spell.name,
+      cooldown: spell.cooldown || [],
+      range: summaryData?.abilities?.find(a => a.key === keys[i])?.range || spell.range || [],
+      classifications: classifyAbility(spell, summaryData, i, true)
+    })),
+    ...getFormAbilities(summaryData).map(({ form, ability }) => ({
+      key: ability.key,
+      form: form.name,
+      name: ability.name,
+      cooldown: ability.cd || [],
+      range: ability.range || [],
+      classifications: classifyThreatTags(ability.threat)
+    }))
+  ];
 
+  classifiedAbilities.forEach(({ classifications, ...ability }) => {
     // Process all classifications for this ability
     classifications.forEach(classification => {
-      if (classification && !seenTypes.has(classification.ccType)) {
-        const threat = {
-          label: classification.ccType,
-          severity: classification.type === 'hard' ? 'high' :
-                   classification.type === 'suppression' ? 'high' :
-                   classification.type === 'soft' ? 'medium' :
-                   classification.type,
-          icon: getThreatIcon(classification.ccType),
-          cleansable: classification.cleansable,
-          qssOnly: classification.qssOnly || false
-        };
-        threats.push(threat);
-        seenTypes.add(classification.ccType);
+      if (!classification) return;
+      const seen = threats.find(threat => threat.label === classification.ccType);
+      if (seen) {
+        seen.abilities.push(ability);
+        return;
       }
+      threats.push({
+        tag: classification.tag,
+        label: classification.ccType,
+        severity: classification.severity,
+        icon: classification.icon,
+        cleansable: classification.cleansable,
+        qssOnly: classification.qssOnly || false,
+        forcedMovement: classification.forcedMovement,
+        abilities: [ability]
+      });
     });
   });
 
   return threats.slice(0, 10); // Increased from 6 to 10 to show more tags
 }
 
-function getThreatIcon(ccType) {
-  const icons = {
-    // Airborne
-    'Knockup': '🌪️',
-    'Knockback': '💨',
-    'Pull': '🪝',
-    'Suppression': '🔒',
-    'Nearsight': '🌫️',
-    // Disabling
-    'Stun': '⚡',
-    'Root': '🌿',
-    'Sleep': '😴',
-    'Charm': '💕',
-    'Fear': '😱',
-    'Taunt': '😡',
-    'Polymorph': '🐑',
-    // Impairing
-    'Slow': '🐌',
-    'Silence': '🤐',
-    'Blind': '🙈',
-    'Disarm': '🚫',
-    'Grounded': '⚓',
-    'Cripple': '🦴',
-    // Non-CC - High Threat
-    'Mobility': '🏃',
-    'Dash': '💨',
-    'Stealth': '👻',
-    'Dodge': '🌀',
-    'Projectile Block': '🧱',
-    'Unbreakable Wall': '🗿',
-    // Non-CC - Medium Threat
-    'Shield': '🛡️',
-    'Breakable Wall': '🧱',
-    'Reveal': '👁️',
-    // Non-CC - Low Threat
-    'Sustain': '💚',
-    'Ghost': '👤',
-    // Legacy (for backwards compatibility)
-    'Airborne': '🌪️',
-    'Burst': '💥',
-    'Poke': '🎯'
+/**
+ * Score every enemy 0-100 with THREAT_SCORE_WEIGHTS
+ * The summoner spell is the one you picked in the summoner advisor (none = nothing answered)
+ * Returns Map of champion -> { score, summoner, breakdown: [{ label, points }] }
+ */
+async function computeThreatScores() {
+  const abilities = await collectEnemyAbilities();
+  const scores = new Map();
+
+  state.enemies.filter(c => c).forEach(champion => {
+    const own = abilities.filter(a => a.champion === champion);
+    scores.set(champion, scoreEnemyThreat(own, state.mySummoner));
+  });
+
+  return scores;
+}
+
+// Raw threat total of the most threatening kit in champions-summary.json (cached), the 100 of the score
+let maxKitThreat = null;
+
+function getMaxKitThreat() {
+  if (maxKitThreat !== null) return maxKitThreat;
+
+  const kitThreat = summaryData => {
+    const abilities = [
+      { key: 'P', spell: {}, classifications: classifyPassive(summaryData) },
+      ...[...(summaryData.abilities || []), ...getFormAbilities(summaryData).map(({ ability }) => ability)]
+        .map(ability => ({ key: ability.key, spell: { cooldown: ability.cd }, classifications: classifyThreatTags(ability.threat) }))
+    ];
+    return sumThreatPoints(scoreThreatBreakdown(abilities, null));
+  };
+  maxKitThreat = Math.max(1, ...Object.values(state.championsSummary).map(kitThreat));
+  return maxKitThreat;
+}
+
+// Threat multiplier for a rank-1 cooldown (1 when unknown), clamped by THREAT_SCORE_WEIGHTS.cooldown
+function getCooldownMultiplier(cooldown) {
+  const { reference, min, max } = THREAT_SCORE_WEIGHTS.cooldown;
+  return cooldown > 0 ? Math.max(min, Math.min(max, reference / cooldown)) : 1;
+}
+
+/**
+ * Score one enemy from its classified abilities ({ key, spell, classifications })
+ * Kits built from description fallback tags can outscore every curated kit, hence the cap at 100
+ */
+function scoreEnemyThreat(abilities, summoner) {
+  const breakdown = scoreThreatBreakdown(abilities, summoner);
+  return {
+    score: Math.min(100, Math.round(100 * sumThreatPoints(breakdown) / getMaxKitThreat())),
+    summoner,
+    breakdown: breakdown.sort((a, b) => b.points - a.points)
+  };
+}
+
+// Points per classified ability tag: [{ label, points }]
+function scoreThreatBreakdown(abilities, summoner) {
+  const weights = THREAT_SCORE_WEIGHTS;
+  const answers = weights.answeredBy[summoner] || (() => false);
+  const breakdown = [];
+
+  abilities.forEach(({ key, spell, classifications }) => {
+    const cooldown = spell.cooldown?.[0];
+    const cdMultiplier = getCooldownMultiplier(cooldown);
+
+    classifications.forEach(classification => {
+      const weight = weights.tags[classification.ccType] || 0;
+      if (weight === 0) return;
+
+      const answered = answers(classification);
+      const points = weight * cdMultiplier * (answered ? weights.answered : 1);
+      const details = [`${weight}`, cooldown > 0 ? `× ${cdMultiplier.toFixed(2)} (${cooldown}s)` : null,
+        answered ? `× ${weights.answered} (${summoner})` : null].filter(Boolean).join(' ');
+      breakdown.push({ label: `${key} ${classification.ccType}: ${details}`, points });
+    });
+  });
+
+  return breakdown;
+}
+
+function sumThreatPoints(breakdown) {
+  return breakdown.reduce((sum, entry) => sum + entry.points, 0);
+}
+
+// Score badge for the team cell, with the breakdown in the tooltip
+function createThreatScoreBadge(threatScore, isTopThreat) {
+  const badge = document.createElement('span');
+  badge.className = `threat-score${isTopThreat ? ' threat-score-top' : ''}`;
+  badge.textContent = isTopThreat ? `🎯 ${threatScore.score}` : `${threatScore.score}`;
+  badge.title = [
+    `Threat score ${threatScore.score}/100${isTopThreat ? ' - top threat' : ''}`,
+    ...threatScore.breakdown.map(entry => `+${Math.round(entry.points)}  ${entry.label}`),
+    'Points are scaled so the most threatening kit scores 100',
+    threatScore.summoner
+      ? `Your summoner: ${threatScore.summoner}`
+      : 'Pick your summoner spell in the summoner advisor to count what it answers'
+  ].join('\n');
+  return badge;
+}
+
+/**
+ * Classify every ability of every enemy (same rules as analyzeThreats, but without the per-enemy cap)
+ * Returns array of { champion, key, spell, classifications }
+ */
+async function collectEnemyAbilities() {
+  const enemies = state.enemies.filter(c => c);
+  const details = await Promise.all(enemies.map(champ => fetchChampionDetail(champ.id)));
+  const keys = ['Q', 'W', 'E', 'R'];
+  const abilities = [];
+
+  enemies.forEach((champion, index) => {
+    const detail = details[index];
+    const summaryData = getSummaryData(champion);
+
+    const passive = classifyPassive(summaryData);
+    if (detail?.passive && passive.length > 0) {
+      abilities.push({ champion, key: 'P', spell: detail.passive, classifications: passive });
+    }
+
+    (detail?.spells || []).forEach((spell, i) => {
+      abilities.push({
+        champion,
+        key: keys[i],
+        spell,
+        classifications: classifyAbility(spell, summaryData, i, true).filter(Boolean)
+      });
+    });
+
+    getFormAbilities(summaryData).forEach(({ form, ability }) => {
+      abilities.push({
+        champion,
+        key: ability.key,
+        form: form.name,
+        spell: toFormSpell(ability),
+        classifications: classifyThreatTags(ability.threat)
+      });
+    });
+  });
+
+  return abilities;
+}
+
+// Disabling CC types that Cleanse removes (slows, silences etc. are cleansable but rarely worth the spell)
+const CLEANSE_WORTHY_CC = ['Stun', 'Root', 'Sleep', 'Charm', 'Fear', 'Taunt', 'Polymorph'];
+
+/**
+ * Count the enemy team's CC by cleansability bucket
+ * Each bucket holds the abilities behind it, so the verdict can explain itself
+ */
+function summarizeTeamCC(abilities) {
+  const buckets = {
+    cleansable: [],
+    suppression: [],
+    airborne: [],
+    pull: [],
+    nearsight: []
+  };
+
+  abilities.forEach(ability => {
+    const added = new Set();
+    const add = (bucket, classification) => {
+      if (added.has(bucket)) return;
+      added.add(bucket);
+      buckets[bucket].push({ ...ability, ccType: classification.ccType });
+    };
+
+    ability.classifications.forEach(classification => {
+      if (classification.qssOnly) {
+        add('suppression', classification);
+      } else if (classification.tag === 'PULL') {
+        add('pull', classification);
+      } else if (classification.tag === 'NEARSIGHT') {
+        add('nearsight', classification);
+      } else if (classification.forcedMovement) {
+        add('airborne', classification);
+      } else if (classification.cleansable && CLEANSE_WORTHY_CC.includes(classification.ccType)) {
+        add('cleansable', classification);
+      }
+    });
+  });
+
+  return buckets;
+}
+
+/**
+ * Turn CC bucket counts into a summoner spell verdict
+ * Returns { level, verdict, reason }
+ */
+function getCleanseVerdict(buckets) {
+  const cleansable = buckets.cleansable.length;
+  const nonCleansable = buckets.airborne.length + buckets.pull.length + buckets.nearsight.length;
+
+  if (buckets.suppression.length > 0) {
+    return {
+      level: 'hard',
+      verdict: 'QSS mandatory',
+      reason: 'Suppression can only be removed by Quicksilver - Cleanse does nothing against it.'
+    };
+  }
+
+  if (cleansable >= 3 && cleansable > nonCleansable) {
+    return {
+      level: 'soft',
+      verdict: 'Cleanse is worth it',
+      reason: `${cleansable} cleansable disables vs ${nonCleansable} that Cleanse can't answer.`
+    };
+  }
+
+  if (cleansable === 0 || nonCleansable >= cleansable) {
+    return {
+      level: 'medium',
+      verdict: 'Cleanse is weak, take Heal/Barrier',
+      reason: `Most of their lockdown is airborne, pull or nearsight (${nonCleansable}) - Cleanse only answers ${cleansable}.`
+    };
+  }
+
+  return {
+    level: 'low',
+    verdict: 'Cleanse optional',
+    reason: `Only ${cleansable} cleansable disables - take Cleanse if one of them is their main engage.`
+  };
+}
+
+// Bucket labels for the CC summary bar, in display order
+const CC_SUMMARY_BUCKETS = [
+  { key: 'cleansable', label: '✓ Cleansable', color: 'soft' },
+  { key: 'suppression', label: '🔒 QSS only', color: 'hard' },
+  { key: 'airborne', label: '🌪️ Airborne', color: 'hard' },
+  { key: 'pull', label: '🪝 Pull', color: 'hard' },
+  { key: 'nearsight', label: '🌫️ Nearsight', color: 'hard' }
+];
+
+// Incremented per render so a slow render can't overwrite a newer one
+let teamAnalysisRenderId = 0;
+
+// Team-wide panels above the threat table, hidden until an ADC and an enemy are picked
+const TEAM_ANALYSIS_PANELS = ['ccSummary', 'lockdownRisk', 'rangeView', 'powerSpikes', 'gankThreat', 'summonerAdvisor', 'itemAdvisor'];
+
+/**
+ * Render every team-wide panel from one pass over the enemy abilities
+ */
+async function renderTeamAnalysis() {
+  const renderId = ++teamAnalysisRenderId;
+  const hasEnemies = state.enemies.some(c => c);
+
+  if (!state.selectedADC || !hasEnemies) {
+    hideTeamAnalysisPanels(TEAM_ANALYSIS_PANELS);
+    return;
+  }
+
+  const results = await Promise.allSettled([
+    collectEnemyAbilities(),
+    fetchItems(),
+    getEnemyDamageMix(),
+    getLanePowerSpikes(),
+    getGankThreat()
+  ]);
+  if (renderId !== teamAnalysisRenderId) return;
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Team analysis failed:', result.reason));
+
+  // A panel whose data failed to load is hidden rather than left showing the previous lineup
+  const renderPanels = (ids, settled, render) => {
+    if (settled.every(result => result.status === 'fulfilled')) {
+      render(...settled.map(result => result.value));
+    } else {
+      hideTeamAnalysisPanels(ids);
+    }
+  };
+
+  const [abilities, items, damageMix, powerSpikes, gankThreat] = results;
+  renderPanels(['ccSummary', 'rangeView', 'summonerAdvisor'], [abilities], enemyAbilities => {
+    const buckets = summarizeTeamCC(enemyAbilities);
+    renderCCSummary(buckets);
+    renderRangeView(enemyAbilities);
+    renderSummonerAdvisor(enemyAbilities, buckets);
+  });
+  renderLockdownRisk(buildCCChains());
+  renderPanels(['powerSpikes'], [powerSpikes], renderPowerSpikes);
+  renderPanels(['gankThreat'], [gankThreat], renderGankThreat);
+  renderPanels(['itemAdvisor'], [abilities, damageMix, items], (enemyAbilities, mix, itemData) => {
+    renderItemAdvisor(enemyAbilities, summarizeTeamCC(enemyAbilities), mix, itemData);
+  });
+}
+
+// Empty and hide team-wide panels
+function hideTeamAnalysisPanels(ids) {
+  ids.forEach(id => {
+    const panel = document.getElementById(id);
+    if (!panel) return;
+    panel.innerHTML = '';
+    panel.classList.add('hidden');
+  });
+}
+
+/**
+ * Render the team-wide CC summary bar and cleanse verdict above the threat table
+ */
+function renderCCSummary(buckets) {
+  const container = document.getElementById('ccSummary');
+  if (!container) return;
+
+  const verdict = getCleanseVerdict(buckets);
+
+  container.innerHTML = '';
+
+  const counts = document.createElement('div');
+  counts.className = 'cc-summary-counts';
+  CC_SUMMARY_BUCKETS.forEach(bucket => {
+    const badge = document.createElement('span');
+    const count = buckets[bucket.key].length;
+    badge.className = `cd-badge ${count > 0 ? `cd-${bucket.color}` : 'cc-summary-empty'}`;
+    badge.textContent = `${bucket.label}: ${count}`;
+    badge.title = buckets[bucket.key]
+      .map(a => `${a.champion.name} ${a.key} - ${a.spell.name} (${a.ccType})`)
+      .join('\n') || 'None';
+    counts.appendChild(badge);
+  });
+  container.appendChild(counts);
+
+  const verdictEl = document.createElement('div');
+  verdictEl.className = 'cc-summary-verdict';
+
+  const verdictBadge = document.createElement('span');
+  verdictBadge.className = `threat-type-badge threat-${verdict.level}`;
+  verdictBadge.textContent = verdict.verdict;
+  verdictEl.appendChild(verdictBadge);
+
+  const reason = document.createElement('span');
+  reason.className = 'cc-summary-reason';
+  reason.textContent = verdict.reason;
+  verdictEl.appendChild(reason);
+  container.appendChild(verdictEl);
+
+  // List the abilities behind the verdict
+  const sources = document.createElement('ul');
+  sources.className = 'cc-summary-sources';
+  CC_SUMMARY_BUCKETS.forEach(bucket => {
+    if (buckets[bucket.key].length === 0) return;
+    const item = document.createElement('li');
+    const label = document.createElement('strong');
+    label.textContent = `${bucket.label}: `;
+    item.appendChild(label);
+    item.appendChild(document.createTextNode(
+      buckets[bucket.key].map(a => `${a.champion.name} ${a.key} (${a.spell.name})`).join(', ')
+    ));
+    sources.appendChild(item);
+  });
+  container.appendChild(sources);
+
+  container.classList.remove('hidden');
+}
+
+// Classification types that actually lock the ADC in place (slows/silences don't)
+const LOCKDOWN_TYPES = ['hard', 'suppression'];
+
+// Chains combine the CC of up to this many enemies; only the worst few are shown
+const CC_CHAIN_MAX_CHAMPIONS = 3;
+const CC_CHAIN_SHOWN = 3;
+
+// Assumed duration for links without ccDuration data, used for ranking only
+const CC_CHAIN_UNKNOWN_DURATION = 1;
+
+/**
+ * CC links for one enemy from the curated threat tags in champions-summary.json
+ * Gap-closing CC goes first (Leona E -> Q -> R), the rest in Q/W/E/R order
+ * Returns [{ champion, key, name, ccType, duration, breakableBy, engage }]
+ */
+function getChampionCCLinks(champion) {
+  const summaryData = getSummaryData(champion);
+  const abilities = [
+    ...(summaryData?.abilities || []),
+    ...getFormAbilities(summaryData).map(({ ability }) => ability)
+  ];
+  const links = [];
+
+  abilities.forEach(ability => {
+    const threat = ability.threat || [];
+    // classifyThreatTags returns the hardest CC first, so it decides what breaks the link
+    const cc = classifyThreatTags(threat).find(c => LOCKDOWN_TYPES.includes(c.type));
+    if (!cc) return;
+
+    links.push({
+      champion,
+      key: ability.key,
+      name: ability.name,
+      ccType: cc.ccType,
+      duration: ability.ccDuration?.[0] ?? null,
+      breakableBy: cc.qssOnly ? 'QSS' : cc.cleansable ? 'Cleanse' : null,
+      engage: threat.includes('GAP_CLOSE') || threat.includes('DASH')
+    });
+  });
+
+  return links.sort((a, b) => Number(b.engage) - Number(a.engage));
+}
+
+// All combinations of 1..max items, keeping input order
+function combinations(items, max) {
+  const result = [];
+  const walk = (start, current) => {
+    if (current.length > 0) result.push(current);
+    if (current.length === max) return;
+    for (let i = start; i < items.length; i++) {
+      walk(i + 1, [...current, items[i]]);
+    }
+  };
+  walk(0, []);
+  return result;
+}
+
+/**
+ * Build plausible CC chains from the enemy team, worst first
+ * The enemy with gap-closing CC starts the chain, the others follow up
+ */
+function buildCCChains() {
+  const combos = state.enemies
+    .filter(c => c)
+    .map(champion => ({ champion, links: getChampionCCLinks(champion) }))
+    .filter(combo => combo.links.length > 0);
+
+  const chains = combinations(combos, CC_CHAIN_MAX_CHAMPIONS).map(group => {
+    const ordered = [...group].sort((a, b) => Number(b.links[0].engage) - Number(a.links[0].engage));
+    const links = ordered.flatMap(combo => combo.links);
+    const known = links.filter(link => link.duration !== null);
+
+    return {
+      champions: ordered.map(combo => combo.champion),
+      links,
+      knownDuration: known.reduce((sum, link) => sum + link.duration, 0),
+      unknownCount: links.length - known.length,
+      unbreakableDuration: known
+        .filter(link => !link.breakableBy)
+        .reduce((sum, link) => sum + link.duration, 0),
+      estimate: links.reduce((sum, link) => sum + (link.duration ?? CC_CHAIN_UNKNOWN_DURATION), 0)
+    };
+  });
+
+  return chains.sort((a, b) => b.estimate - a.estimate || b.links.length - a.links.length);
+}
+
+// Summed CC seconds without float noise (2.3000000000000003 -> "2.3s")
+function formatChainSeconds(seconds) {
+  return `${seconds.toFixed(2).replace(/\.?0+$/, '')}s`;
+}
+
+/**
+ * Render the worst CC chains with their lockdown time and which links Cleanse/QSS can break
+ */
+function renderLockdownRisk(chains) {
+  const container = document.getElementById('lockdownRisk');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  // Single-link "chains" aren't a chain; need at least two CC links
+  const worst = chains.filter(chain => chain.links.length > 1).slice(0, CC_CHAIN_SHOWN);
+  if (worst.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const title = document.createElement('div');
+  title.className = 'lockdown-risk-title';
+  title.textContent = '🔒 Lockdown risk';
+  container.appendChild(title);
+
+  const breakIcons = { Cleanse: '✓', QSS: '🔒' };
+  const breakTitles = {
+    Cleanse: 'Cleanse or QSS breaks this link',
+    QSS: 'Only QSS breaks this link',
+    none: 'Cleanse and QSS cannot break this link'
+  };
+
+  worst.forEach(chain => {
+    const row = document.createElement('div');
+    row.className = 'lockdown-chain';
+
+    chain.links.forEach((link, index) => {
+      if (index > 0) row.appendChild(document.createTextNode(' → '));
+
+      const linkEl = document.createElement('span');
+      linkEl.className = `lockdown-link lockdown-link-${link.breakableBy ? link.breakableBy.toLowerCase() : 'none'}`;
+      const duration = link.duration !== null ? ` ${link.duration}s` : '';
+      linkEl.textContent = `${link.champion.name} ${link.key} (${link.ccType}${duration}) ${breakIcons[link.breakableBy] || '✗'}`;
+      linkEl.title = `${link.name} - ${breakTitles[link.breakableBy || 'none']}`;
+      row.appendChild(linkEl);
+    });
+
+    const total = document.createElement('span');
+    total.className = 'lockdown-total';
+    const parts = [];
+    if (chain.knownDuration > 0) parts.push(`${formatChainSeconds(chain.knownDuration)} locked`);
+    if (chain.unknownCount > 0) parts.push(`+${chain.unknownCount} without duration data`);
+    if (chain.unbreakableDuration > 0) parts.push(`${formatChainSeconds(chain.unbreakableDuration)} unbreakable`);
+    total.textContent = parts.join(', ');
+    row.appendChild(total);
+
+    container.appendChild(row);
+  });
+
+  container.classList.remove('hidden');
+}
+
+// Threat colours drawn in the range view (same palette as the threat badges)
+const RANGE_VIEW_COLORS = ['hard', 'soft', 'high'];
+const RANGE_VIEW_SIZE = 240;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Enemy ability ranges that matter for spacing: classified abilities with a real (not global/self) range
+ * Returns [{ champion, key, spell, range, color, ccType }] sorted longest first
+ */
+function getEnemyAbilityRanges(abilities) {
+  return abilities
+    .map(ability => {
+      const summaryRange = ability.form
+        ? null
+        : getSummaryData(ability.champion)?.abilities?.find(a => a.key === ability.key)?.range;
+      const range = (summaryRange || ability.spell.range || [])[0];
+      const classification = ability.classifications.find(c => RANGE_VIEW_COLORS.includes(c.color));
+      return classification && range > 0 && range < GLOBAL_RANGE
+        ? { ...ability, range, color: classification.color, ccType: classification.ccType }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.range - a.range);
+}
+
+function createSvgElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Render the selected ADC's auto-attack range against enemy ability ranges
+ * Circles share a centre so their radii compare directly; abilities that out-range autos are listed
+ */
+function renderRangeView(abilities) {
+  const container = document.getElementById('rangeView');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const attackRange = state.selectedADC.stats?.attackrange;
+  const ranges = getEnemyAbilityRanges(abilities);
+
+  if (!attackRange || ranges.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const center = RANGE_VIEW_SIZE / 2;
+  const scale = (center - 4) / Math.max(attackRange, ranges[0].range);
+  const svg = createSvgElement('svg', {
+    class: 'range-view-svg',
+    viewBox: `0 0 ${RANGE_VIEW_SIZE} ${RANGE_VIEW_SIZE}`,
+    width: RANGE_VIEW_SIZE,
+    height: RANGE_VIEW_SIZE,
+    role: 'img',
+    'aria-label': `${state.selectedADC.name} attack range compared to enemy ability ranges`
+  });
+
+  const autoRing = createSvgElement('circle', { class: 'range-ring-auto', cx: center, cy: center, r: attackRange * scale });
+  const autoTitle = createSvgElement('title', {});
+  autoTitle.textContent = `${state.selectedADC.name} auto-attack range: ${attackRange}`;
+  autoRing.appendChild(autoTitle);
+  svg.appendChild(autoRing);
+
+  ranges.forEach(ability => {
+    const ring = createSvgElement('circle', {
+      class: `range-ring threat-${ability.color}`,
+      cx: center,
+      cy: center,
+      r: ability.range * scale
+    });
+    const title = createSvgElement('title', {});
+    title.textContent = `${ability.champion.name} ${ability.key} - ${ability.spell.name}: ${ability.range} (${ability.ccType})`;
+    ring.appendChild(title);
+    svg.appendChild(ring);
+  });
+
+  svg.appendChild(createSvgElement('circle', { class: 'range-view-center', cx: center, cy: center, r: 3 }));
+  container.appendChild(svg);
+
+  const details = document.createElement('div');
+  details.className = 'range-view-details';
+
+  const heading = document.createElement('div');
+  heading.className = 'range-view-title';
+  heading.textContent = `${state.selectedADC.name} auto range: ${attackRange}`;
+  details.appendChild(heading);
+
+  const outRanging = ranges.filter(ability => ability.range > attackRange);
+  const label = document.createElement('div');
+  label.className = 'range-view-label';
+  label.textContent = outRanging.length > 0
+    ? `Out-range your autos (${outRanging.length}):`
+    : 'No enemy threat out-ranges your autos';
+  details.appendChild(label);
+
+  if (outRanging.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'range-view-list';
+    outRanging.forEach(ability => {
+      const item = document.createElement('li');
+      const badge = document.createElement('span');
+      badge.className = `threat-type-badge threat-${ability.color}`;
+      badge.textContent = ability.ccType;
+      item.textContent = `${ability.champion.name} ${ability.key} (${ability.spell.name}) ${ability.range} (+${ability.range - attackRange}) `;
+      item.appendChild(badge);
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+  }
+
+  container.appendChild(details);
+  container.classList.remove('hidden');
+}
+
+// Power-spike timeline: first 15 minutes of the bot-lane matchup (seconds)
+const POWER_SPIKE_TIMELINE_END = 900;
+// Approximate duo-lane game time (s) each level is reached
+const BOT_LANE_LEVEL_TIMES = { 2: 110, 3: 190, 4: 270, 5: 360, 6: 450, 7: 540, 8: 630, 9: 720, 10: 800, 11: 880 };
+// Approximate game time (s) of an ADC's first completed item (the only item spike inside the timeline)
+const FIRST_ITEM_SPIKE_TIME = 660;
+// How long (s) a spike is an edge when the next level-up doesn't end it first: first item, each R window
+const POWER_SPIKE_DURATION = 60;
+// Extra power for a spike the ADC's key_timer tip calls out
+const KEY_TIMER_SPIKE_POWER = 20;
+// A side owns a window when the power of its active spikes leads by this share and at least this many points
+const POWER_SPIKE_MARGIN = 0.15;
+const POWER_SPIKE_MIN_LEAD = 8;
+const POWER_SPIKE_VIEW = { width: 600, height: 100, gutter: 56, padding: 16 };
+
+// Kit power of one ability: threat weights of its tags x cooldown multiplier (the threat score model)
+function getAbilityPower(cooldown, classifications) {
+  const multiplier = getCooldownMultiplier(cooldown);
+  return classifications.reduce((sum, c) => sum + (THREAT_SCORE_WEIGHTS.tags[c.ccType] || 0) * multiplier, 0);
+}
+
+// End of a level spike: the next level-up, else POWER_SPIKE_DURATION later
+function getLevelSpikeEnd(level) {
+  return BOT_LANE_LEVEL_TIMES[level + 1] || BOT_LANE_LEVEL_TIMES[level] + POWER_SPIKE_DURATION;
+}
+
+/**
+ * Level 2/3 spikes for one champion (the two strongest basic abilities at 2, the third at 3) and R windows
+ * Cooldowns come from champions-summary.json (rank 1) when present, else DDragon
+ * Each spike is { time, end, label, power, detail }: an edge only while it is active
+ */
+async function getLevelSpikes(champion) {
+  const detail = await fetchChampionDetail(champion.id);
+  const summaryData = getSummaryData(champion);
+  const keys = ['Q', 'W', 'E', 'R'];
+  const abilities = (detail?.spells || []).map((spell, i) => {
+    const cooldown = summaryData?.abilities?.find(a => a.key === keys[i])?.cd?.[0] ?? spell.cooldown?.[0];
+    return { key: keys[i], cooldown, power: getAbilityPower(cooldown, classifyAbility(spell, summaryData, i, true)) };
+  });
+  const basics = abilities.slice(0, 3).sort((a, b) => b.power - a.power);
+  const ultimate = abilities[3];
+
+  return [
+    basics.length >= 2 && {
+      time: BOT_LANE_LEVEL_TIMES[2], end: getLevelSpikeEnd(2), label: 'Level 2',
+      power: basics[0].power + basics[1].power, detail: `${basics[0].key} + ${basics[1].key}`
+    },
+    basics[2] && {
+      time: BOT_LANE_LEVEL_TIMES[3], end: getLevelSpikeEnd(3), label: 'Level 3',
+      power: basics[2].power, detail: `adds ${basics[2].key}`
+    },
+    ...(ultimate ? getUltimateSpikes(ultimate) : [])
+  ].filter(Boolean).map(spike => ({ ...spike, champion }));
+}
+
+/**
+ * R windows from level 6: R is up for POWER_SPIKE_DURATION, gets used, and is back after its cooldown
+ * A short cooldown gives several windows before 15:00, a long one a single window at level 6
+ */
+function getUltimateSpikes(ultimate) {
+  const spikes = [];
+  const start = BOT_LANE_LEVEL_TIMES[6];
+  const step = ultimate.cooldown > 0 ? POWER_SPIKE_DURATION + ultimate.cooldown : Infinity;
+
+  for (let time = start; time < POWER_SPIKE_TIMELINE_END; time += step) {
+    spikes.push({
+      time,
+      end: time + POWER_SPIKE_DURATION,
+      label: time === start ? 'Level 6' : 'R back up',
+      power: ultimate.power,
+      detail: ultimate.cooldown ? `R, ${ultimate.cooldown}s cooldown once used` : 'R'
+    });
+  }
+  return spikes;
+}
+
+// Spikes a key_timer tip calls out: "level 6" or "first item" (approximate game times)
+function parseKeyTimerSpikes(text) {
+  const spikes = [];
+  for (const match of text.matchAll(/\b(?:level|lvl)\s*(\d{1,2})\b/gi)) {
+    const level = parseInt(match[1], 10);
+    const time = BOT_LANE_LEVEL_TIMES[level];
+    if (time) spikes.push({ time, end: getLevelSpikeEnd(level), label: `Level ${level}` });
+  }
+  if (/\b(first|1st|one|1)[- ]item\b/i.test(text)) {
+    spikes.push({ time: FIRST_ITEM_SPIKE_TIME, end: FIRST_ITEM_SPIKE_TIME + POWER_SPIKE_DURATION, label: 'First item' });
+  }
+  return spikes.filter((spike, i) => spikes.findIndex(other => other.label === spike.label) === i);
+}
+
+// One side's spikes inside the timeline: kit level spikes for the duo plus the ADC's key_timer tip
+async function getSideSpikes(adc, support) {
+  const champions = [adc, support].filter(Boolean);
+  const [levelSpikes, tips] = await Promise.all([
+    Promise.all(champions.map(getLevelSpikes)),
+    adc ? fetchADCTips(adc) : null
+  ]);
+  const keyTimer = tips?.macro?.key_timer?.text;
+  const tipSpikes = keyTimer
+    ? parseKeyTimerSpikes(keyTimer).map(spike => ({ ...spike, champion: adc, power: KEY_TIMER_SPIKE_POWER, detail: keyTimer }))
+    : [];
+
+  return [...levelSpikes.flat(), ...tipSpikes]
+    .filter(spike => spike.time < POWER_SPIKE_TIMELINE_END && spike.power > 0)
+    .map(spike => ({ ...spike, end: Math.min(spike.end, POWER_SPIKE_TIMELINE_END) }));
+}
+
+/**
+ * Danger and opportunity windows: stretches where the power of one side's active spikes
+ * (not the running total) leads by POWER_SPIKE_MARGIN and POWER_SPIKE_MIN_LEAD
+ * Returns [{ type: 'danger' | 'opportunity', start, end, mine, enemy, spikes: ['Leona Level 6', ...] }]
+ */
+function buildPowerWindows(mine, enemy) {
+  const activeAt = (spikes, time) => spikes.filter(s => s.time <= time && time < s.end);
+  const powerOf = spikes => spikes.reduce((sum, s) => sum + s.power, 0);
+  const bounds = [...new Set([0, ...[...mine, ...enemy].flatMap(s => [s.time, s.end]), POWER_SPIKE_TIMELINE_END])]
+    .sort((a, b) => a - b);
+  const windows = [];
+
+  bounds.slice(0, -1).forEach((start, i) => {
+    const end = bounds[i + 1];
+    const mineActive = activeAt(mine, start);
+    const enemyActive = activeAt(enemy, start);
+    const minePower = powerOf(mineActive);
+    const enemyPower = powerOf(enemyActive);
+    const leads = (a, b) => a > b * (1 + POWER_SPIKE_MARGIN) && a - b >= POWER_SPIKE_MIN_LEAD;
+    const type = leads(enemyPower, minePower) ? 'danger' : leads(minePower, enemyPower) ? 'opportunity' : null;
+    if (!type) return;
+
+    const spikes = (type === 'danger' ? enemyActive : mineActive).map(s => `${s.champion.name} ${s.label}`);
+    const previous = windows[windows.length - 1];
+    if (previous && previous.type === type && previous.end === start) {
+      previous.end = end;
+      previous.spikes = [...new Set([...previous.spikes, ...spikes])];
+    } else {
+      windows.push({ type, start, end, mine: Math.round(minePower), enemy: Math.round(enemyPower), spikes });
+    }
+  });
+
+  return windows;
+}
+
+// Spike data for the timeline: your ADC + lane support against the enemy bot duo (null if no duo is known)
+async function getLanePowerSpikes() {
+  const enemyLane = getEnemyBotLane();
+  if (!enemyLane.adc && !enemyLane.support) return null;
+
+  const allySupport = getAllySupport();
+  const [mine, enemy] = await Promise.all([
+    getSideSpikes(state.selectedADC, allySupport),
+    getSideSpikes(enemyLane.adc, enemyLane.support)
+  ]);
+  return {
+    mine,
+    enemy,
+    windows: buildPowerWindows(mine, enemy),
+    myLane: [state.selectedADC, allySupport].filter(Boolean),
+    enemyLane: [enemyLane.adc, enemyLane.support].filter(Boolean)
+  };
+}
+
+/**
+ * Render the 0-15 minute power-spike timeline: spike markers per side,
+ * danger (enemy ahead) and opportunity (you ahead) windows shaded behind them
+ */
+function renderPowerSpikes(spikes) {
+  const container = document.getElementById('powerSpikes');
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (!spikes) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const { width, height, gutter, padding } = POWER_SPIKE_VIEW;
+  const x = time => gutter + (time / POWER_SPIKE_TIMELINE_END) * (width - gutter - padding);
+  const lanes = { mine: 22, enemy: 50 };
+  const axisY = 70;
+  const names = champions => champions.map(c => c.name).join(' + ');
+
+  const heading = document.createElement('div');
+  heading.className = 'power-spikes-title';
+  heading.textContent = `📈 Power spikes: ${names(spikes.myLane)} vs ${names(spikes.enemyLane)}`;
+  container.appendChild(heading);
+
+  const svg = createSvgElement('svg', {
+    class: 'power-spikes-svg',
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img',
+    'aria-label': `Power-spike timeline for the first ${POWER_SPIKE_TIMELINE_END / 60} minutes`
+  });
+
+  spikes.windows.forEach(span => {
+    const rect = createSvgElement('rect', {
+      class: `power-span power-span-${span.type}`,
+      x: x(span.start),
+      y: 6,
+      width: x(span.end) - x(span.start),
+      height: axisY - 6
+    });
+    const title = createSvgElement('title', {});
+    title.textContent = `${span.type === 'danger' ? 'Danger' : 'Opportunity'} ${formatGameTime(span.start)}-${formatGameTime(span.end)}: you ${span.mine} vs enemy ${span.enemy}`;
+    rect.appendChild(title);
+    svg.appendChild(rect);
+  });
+
+  Object.entries(lanes).forEach(([side, y]) => {
+    const label = createSvgElement('text', { class: 'power-spikes-lane', x: 4, y: y + 4 });
+    label.textContent = side === 'mine' ? 'You' : 'Enemy';
+    svg.appendChild(label);
+    svg.appendChild(createSvgElement('line', { class: 'power-spikes-track', x1: gutter, y1: y, x2: width - padding, y2: y }));
+
+    // One marker per time, listing every spike that lands on it
+    const byTime = new Map();
+    spikes[side].forEach(spike => byTime.set(spike.time, [...(byTime.get(spike.time) || []), spike]));
+    byTime.forEach((group, time) => {
+      const marker = createSvgElement('circle', { class: `power-spike power-spike-${side}`, cx: x(time), cy: y, r: 5 });
+      const title = createSvgElement('title', {});
+      title.textContent = `${formatGameTime(time)}\n` + group
+        .map(spike => `${spike.champion.name} ${spike.label} until ${formatGameTime(spike.end)} (+${Math.round(spike.power)}): ${spike.detail}`)
+        .join('\n');
+      marker.appendChild(title);
+      svg.appendChild(marker);
+    });
+  });
+
+  svg.appendChild(createSvgElement('line', { class: 'power-spikes-axis', x1: gutter, y1: axisY, x2: width - padding, y2: axisY }));
+  for (let minute = 0; minute <= POWER_SPIKE_TIMELINE_END / 60; minute += 3) {
+    const tick = createSvgElement('text', { class: 'power-spikes-tick', x: x(minute * 60), y: axisY + 16, 'text-anchor': 'middle' });
+    tick.textContent = `${minute}:00`;
+    svg.appendChild(tick);
+  }
+  container.appendChild(svg);
+
+  const list = document.createElement('ul');
+  list.className = 'power-spikes-list';
+  spikes.windows.forEach(span => {
+    const item = document.createElement('li');
+    item.className = `power-spikes-${span.type}`;
+    item.textContent = span.type === 'danger'
+      ? `⚠️ ${formatGameTime(span.start)}-${formatGameTime(span.end)}: enemy spike (${span.spikes.join(', ')}) - play safe, avoid all-ins`
+      : `✅ ${formatGameTime(span.start)}-${formatGameTime(span.end)}: your spike (${span.spikes.join(', ')}) - trade and look for all-ins`;
+    list.appendChild(item);
+  });
+  if (spikes.windows.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'Even lane - no side clearly out-spikes the other before 15:00';
+    list.appendChild(item);
+  }
+  container.appendChild(list);
+  container.classList.remove('hidden');
+}
+
+// Gank threat rating: points per jungler tool and support follow-up, ratings checked high to low
+const GANK_THREAT_WEIGHTS = {
+  gapCloser: 2,
+  stealth: 3,
+  hardCC: 2,
+  softCC: 1,
+  supportHardCC: 2,
+  supportSoftCC: 1,
+  // Jungler and support both bring hard CC: one chains into the other
+  chain: 3,
+  ratings: [[14, 'extreme'], [9, 'high'], [5, 'medium'], [0, 'low']]
+};
+// Threat tags that let a jungler close the gap on a gank
+const GANK_ENGAGE_TAGS = ['GAP_CLOSE', 'DASH'];
+// Engages from at least this range call for deeper wards
+const LONG_RANGE_ENGAGE = 1000;
+
+// 'hard' or 'soft' for CC threats from analyzeThreats, null for everything else
+function getThreatCCKind(threat) {
+  const { type } = THREAT_TAXONOMY.get(threat.tag);
+  if (type === 'hard' || type === 'suppression') return 'hard';
+  return type === 'soft' ? 'soft' : null;
+}
+
+/**
+ * Gank threat from the enemy jungler (role override or inferred) and the enemy support
+ * Built on analyzeThreats: engages, stealth and CC with the abilities behind them,
+ * a rating with its breakdown, and ward advice for stealth and long-range engages
+ */
+async function getGankThreat() {
+  const roles = getEnemyRoles();
+  const jungler = state.enemies.find((c, i) => c && roles[i] === 'jungle');
+  if (!jungler) return null;
+
+  const { support } = getEnemyBotLane();
+  const [junglerDetail, supportDetail] = await Promise.all([
+    fetchChampionDetail(jungler.id),
+    support ? fetchChampionDetail(support.id) : null
+  ]);
+  const threats = analyzeThreats(junglerDetail, jungler);
+  const supportThreats = support ? analyzeThreats(supportDetail, support) : [];
+
+  const engages = threats.filter(threat => GANK_ENGAGE_TAGS.includes(threat.tag));
+  const stealth = threats.filter(threat => threat.tag === 'STEALTH');
+  const cc = threats.filter(threat => getThreatCCKind(threat));
+  const supportCC = supportThreats.filter(threat => getThreatCCKind(threat));
+  const hasHard = list => list.some(threat => getThreatCCKind(threat) === 'hard');
+
+  // Points per ability, not per threat label: three dashes count three times, an ability tagged
+  // Mobility and Dash once, and an ability with hard and soft CC only as hard CC
+  const weights = GANK_THREAT_WEIGHTS;
+  const countAbilities = (list, exclude = []) => new Set(list
+    .flatMap(threat => threat.abilities.map(formatThreatAbilityKey))
+    .filter(key => !exclude.includes(key))).size;
+  const ofKind = (list, kind) => list.filter(threat => getThreatCCKind(threat) === kind);
+  const countCC = (list, kind) => kind === 'hard'
+    ? countAbilities(ofKind(list, 'hard'))
+    : countAbilities(ofKind(list, 'soft'), ofKind(list, 'hard').flatMap(threat => threat.abilities.map(formatThreatAbilityKey)));
+  const breakdown = [
+    { label: `${jungler.name} gap closers`, points: countAbilities(engages) * weights.gapCloser },
+    { label: `${jungler.name} stealth`, points: countAbilities(stealth) * weights.stealth },
+    { label: `${jungler.name} hard CC`, points: countCC(cc, 'hard') * weights.hardCC },
+    { label: `${jungler.name} soft CC`, points: countCC(cc, 'soft') * weights.softCC },
+    support && { label: `${support.name} hard CC`, points: countCC(supportCC, 'hard') * weights.supportHardCC },
+    support && { label: `${support.name} soft CC`, points: countCC(supportCC, 'soft') * weights.supportSoftCC },
+    hasHard(cc) && hasHard(supportCC) && { label: 'Hard CC chain with the support', points: weights.chain }
+  ].filter(entry => entry && entry.points > 0);
+  const score = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  const rating = weights.ratings.find(([min]) => score >= min)[1];
+
+  return { jungler, support, engages, stealth, cc, supportCC, score, rating, breakdown, wards: getGankWards(jungler, engages, stealth, cc) };
+}
+
+// Ward advice for a jungler's stealth and long-range engages
+// 25000+ ranges are skipped like in the range view: DDragon uses them for self-cast abilities too
+function getGankWards(jungler, engages, stealth, cc) {
+  const wards = [];
+  const abilityKeys = threats => [...new Set(threats.flatMap(threat => threat.abilities.map(formatThreatAbilityKey)))].join(', ');
+
+  if (stealth.length > 0) {
+    wards.push(`🔮 ${jungler.name} can go unseen (${abilityKeys(stealth)}) - carry a Control Ward and sweep river and tri-brush with Oracle Lens`);
+  }
+
+  const seen = new Set();
+  [...engages, ...cc].forEach(threat => threat.abilities.forEach(ability => {
+    const range = ability.range[0];
+    const label = formatThreatAbilityKey(ability);
+    if (!(range >= LONG_RANGE_ENGAGE) || range >= GLOBAL_RANGE || seen.has(label)) return;
+    seen.add(label);
+    wards.push(`🔭 ${jungler.name} ${label} (${ability.name}) engages from ${range} range - ward deeper than the river (raptors, enemy tri-brush)`);
+  }));
+
+  if (wards.length === 0) {
+    wards.push(`👁️ ${jungler.name} has to walk into lane - a river ward before 3:00 covers the first gank`);
+  }
+  return wards;
+}
+
+// "Q", "Cougar Q" or "P" for an ability behind a threat
+function formatThreatAbilityKey(ability) {
+  return [ability.form, ability.key].filter(Boolean).join(' ');
+}
+
+/**
+ * Render the jungle gank card: rating, the jungler's engages / stealth / CC with cooldowns,
+ * the support's follow-up CC and ward advice
+ */
+function renderGankThreat(gank) {
+  const container = document.getElementById('gankThreat');
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (!gank) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const title = document.createElement('div');
+  title.className = 'gank-threat-title';
+  title.textContent = `🌲 Gank threat: ${gank.jungler.name}${gank.support ? ` + ${gank.support.name}` : ''}`;
+  const rating = document.createElement('span');
+  rating.className = `gank-rating gank-rating-${gank.rating}`;
+  rating.textContent = `${gank.rating} (${gank.score})`;
+  rating.title = gank.breakdown.map(entry => `+${entry.points}  ${entry.label}`).join('\n') || 'No gank tools found';
+  title.appendChild(rating);
+  container.appendChild(title);
+
+  const addLine = (label, champion, threats) => {
+    if (threats.length === 0) return;
+    const line = document.createElement('div');
+    line.className = 'gank-threat-line';
+    const name = document.createElement('span');
+    name.className = 'gank-threat-label';
+    name.textContent = label;
+    line.appendChild(name);
+
+    threats.forEach(threat => {
+      line.appendChild(createThreatTypeBadge(THREAT_TAXONOMY.classify([threat.tag])[0]));
+      const abilities = document.createElement('span');
+      abilities.className = 'gank-threat-abilities';
+      abilities.textContent = threat.abilities
+        .map(ability => {
+          const key = formatThreatAbilityKey(ability);
+          return ability.cooldown.length > 0 ? `${key} ${describeCooldown(ability.cooldown, ability.key, champion).text}` : key;
+        })
+        .join(', ');
+      line.appendChild(abilities);
+    });
+    container.appendChild(line);
+  };
+
+  addLine('Gap closers', gank.jungler, gank.engages);
+  addLine('Stealth', gank.jungler, gank.stealth);
+  addLine('CC', gank.jungler, gank.cc);
+  if (gank.support) {
+    addLine(`${gank.support.name} follow-up`, gank.support, gank.supportCC);
+  }
+
+  const wards = document.createElement('ul');
+  wards.className = 'gank-threat-wards';
+  gank.wards.forEach(text => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    wards.appendChild(item);
+  });
+  container.appendChild(wards);
+  container.classList.remove('hidden');
+}
+
+// Summoner spell advisor weights: base score plus points per matching input, clamped to 0-100
+// Inputs come from the enemy ability classifications, the CC buckets and the enemy bot-lane pair
+const SUMMONER_WEIGHTS = {
+  Heal: { base: 50, burst: 3, poke: 4, enemyADC: 8, pokeSupport: 10 },
+  Barrier: { base: 40, burst: 8, dive: 3, assassin: 6 },
+  Exhaust: { base: 25, dive: 3, assassin: 12, engageSupport: 12 },
+  Cleanse: { base: 15, cleansable: 12, nonCleansable: -6, suppression: -20 },
+  Ghost: { base: 25, dive: 4, slow: 4, lockdown: -4 }
+};
+
+// Supports that want to all-in the bot lane (Exhaust / Cleanse territory)
+const ALL_IN_SUPPORT_TYPES = ['engage', 'catcher'];
+
+// Role per enemy slot (null for empty slots): the user's overrides plus CHAMPION_ROLES inference
+function getEnemyRoles() {
+  return CHAMPION_ROLES.assign(state.enemies, state.enemyRoleOverrides);
+}
+
+function getEnemyRole(champion) {
+  return getEnemyRoles()[state.enemies.indexOf(champion)] || null;
+}
+
+/**
+ * The enemy bot-lane pair from the enemy roles (see getEnemyRoles)
+ */
+function getEnemyBotLane() {
+  const roles = getEnemyRoles();
+  const withRole = role => state.enemies.find((c, i) => c && roles[i] === role) || null;
+  const adc = withRole('bot');
+  const support = withRole('support');
+  const supportTypes = support
+    ? Object.keys(SUPPORT_TYPES).filter(type => ADC_LIST.includesChampion(SUPPORT_TYPES[type], support.id))
+    : [];
+  return { adc, support, supportTypes };
+}
+
+// Your lane support: the ally inferred as support with your ADC fixed as bot (same inference as the enemy roles)
+function getAllySupport() {
+  const team = [state.selectedADC, ...state.allies];
+  const roles = CHAMPION_ROLES.assign(team, { 0: 'bot' });
+  return team.find((champion, index) => champion && roles[index] === 'support') || null;
+}
+
+/**
+ * Score Heal, Barrier, Cleanse, Exhaust and Ghost against the enemy lineup
+ * Returns [{ spell, score, reason }] sorted best first
+ */
+function scoreSummonerSpells(abilities, buckets, botLane) {
+  const count = types => abilities.filter(a => a.classifications.some(c => types.includes(c.ccType))).length;
+  const burst = count(['Burst']);
+  const dive = count(['Mobility', 'Dash']);
+  const poke = count(['Poke']);
+  const slow = count(['Slow']);
+
+  // Champions with both burst and a gap closer can jump on the ADC and kill them
+  const assassins = [...new Set(abilities.map(a => a.champion))].filter(champion => {
+    const own = abilities.filter(a => a.champion === champion).flatMap(a => a.classifications.map(c => c.ccType));
+    return own.includes('Burst') && (own.includes('Mobility') || own.includes('Dash'));
+  });
+
+  const cleansable = buckets.cleansable.length;
+  const nonCleansable = buckets.airborne.length + buckets.pull.length + buckets.nearsight.length;
+  const suppression = buckets.suppression.length;
+  const allInSupport = botLane.supportTypes.some(type => ALL_IN_SUPPORT_TYPES.includes(type));
+  const pokeSupport = botLane.supportTypes.includes('poke');
+  const names = list => list.map(c => c.name).join(', ');
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+  // [weight key, input count, reason] per spell; the biggest contribution becomes the reason
+  const inputs = {
+    Heal: [
+      ['burst', burst, plural(burst, 'burst spell')],
+      ['poke', poke, `${plural(poke, 'poke spell')} to heal back`],
+      ['enemyADC', botLane.adc ? 1 : 0, `wins trades and races vs ${botLane.adc?.name}`],
+      ['pokeSupport', pokeSupport ? 1 : 0, `sustains through ${botLane.support?.name}'s poke`]
+    ],
+    Barrier: [
+      ['burst', burst, `${plural(burst, 'burst spell')} - Barrier absorbs the spike`],
+      ['dive', dive, plural(dive, 'gap closer')],
+      ['assassin', assassins.length, `survives the one-shot from ${names(assassins)}`]
+    ],
+    Exhaust: [
+      ['dive', dive, plural(dive, 'gap closer')],
+      ['assassin', assassins.length, `shuts down ${names(assassins)} when they jump in`],
+      ['engageSupport', allInSupport ? 1 : 0, `punishes ${botLane.support?.name}'s all-in`]
+    ],
+    Cleanse: [
+      ['cleansable', cleansable, plural(cleansable, 'cleansable disable')],
+      ['nonCleansable', nonCleansable, `${plural(nonCleansable, 'airborne/pull/nearsight effect')} Cleanse can't remove`],
+      ['suppression', suppression, 'suppression needs QSS, not Cleanse']
+    ],
+    Ghost: [
+      ['dive', dive, `kite away from ${plural(dive, 'gap closer')}`],
+      ['slow', slow, `${plural(slow, 'slow')} to run through`],
+      ['lockdown', cleansable + nonCleansable + suppression, 'too much hard CC to run from']
+    ]
+  };
+
+  return Object.entries(SUMMONER_WEIGHTS)
+    .map(([spell, weights]) => {
+      const contributions = inputs[spell]
+        .map(([key, amount, reason]) => ({ points: (weights[key] || 0) * amount, reason }))
+        .filter(c => c.points !== 0);
+      const total = contributions.reduce((sum, c) => sum + c.points, weights.base);
+      const top = contributions.filter(c => c.points > 0).sort((a, b) => b.points - a.points)[0];
+      return {
+        spell,
+        score: Math.max(0, Math.min(100, Math.round(total))),
+        reason: top ? top.reason : 'safe default with nothing specific to answer',
+        breakdown: contributions
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Render the summoner spell advisor: best pick, runner-up and the rest of the ranking
+ */
+function renderSummonerAdvisor(abilities, buckets) {
+  const container = document.getElementById('summonerAdvisor');
+  if (!container) return;
+
+  const botLane = getEnemyBotLane();
+  const ranking = scoreSummonerSpells(abilities, buckets, botLane);
+  const [best, runnerUp, ...rest] = ranking;
+
+  container.innerHTML = '';
+
+  const title = document.createElement('div');
+  title.className = 'summoner-advisor-title';
+  title.textContent = 'Flash +';
+  if (botLane.adc || botLane.support) {
+    const lane = document.createElement('span');
+    lane.className = 'summoner-advisor-lane';
+    lane.textContent = `vs ${[botLane.adc, botLane.support].filter(Boolean).map(c => c.name).join(' + ')}`;
+    title.appendChild(lane);
+  }
+  container.appendChild(title);
+
+  const addPick = (pick, label, className) => {
+    const row = document.createElement('div');
+    row.className = `summoner-advisor-pick ${className}`;
+    row.title = pick.breakdown
+      .map(c => `${c.points > 0 ? '+' : ''}${c.points}: ${c.reason}`)
+      .join('\n') || 'Base score only';
+
+    const badge = document.createElement('span');
+    badge.className = 'summoner-advisor-badge';
+    badge.textContent = `${label}: ${pick.spell} (${pick.score})`;
+    row.appendChild(badge);
+
+    const reason = document.createElement('span');
+    reason.className = 'summoner-advisor-reason';
+    reason.textContent = pick.reason;
+    row.appendChild(reason);
+
+    container.appendChild(row);
+  };
+
+  addPick(best, 'Best', 'summoner-advisor-best');
+  addPick(runnerUp, 'Runner-up', 'summoner-advisor-runner-up');
+
+  container.appendChild(createMySummonerSelect());
+
+  const others = document.createElement('div');
+  others.className = 'summoner-advisor-others';
+  others.textContent = rest.map(pick => `${pick.spell} ${pick.score}`).join(' · ');
+  container.appendChild(others);
+
+  container.classList.remove('hidden');
+}
+
+// Your own summoner pick, saved and used by the threat scores
+function createMySummonerSelect() {
+  const label = document.createElement('label');
+  label.className = 'summoner-advisor-mine';
+  label.title = 'Threat scores count threats this spell answers at reduced weight';
+
+  const select = document.createElement('select');
+  select.add(new Option('Not picked', ''));
+  Object.keys(THREAT_SCORE_WEIGHTS.answeredBy).forEach(spell => select.add(new Option(spell, spell)));
+  select.value = state.mySummoner || '';
+  select.addEventListener('change', () => {
+    state.mySummoner = select.value || null;
+    localStorage.setItem(MY_SUMMONER_STORAGE_KEY, JSON.stringify(state.mySummoner));
+    updateTable();
+  });
+
+  label.append('Your pick: Flash + ', select);
+  return label;
+}
+
+// Defensive/utility item rules for the item advisor
+// Items are looked up by name in the patch's item.json, so removed items simply drop out
+const ITEM_RULES = [
+  {
+    key: 'cleanse',
+    label: 'Remove CC',
+    items: { marksman: ['Quicksilver Sash', 'Mercurial Scimitar'], mage: ['Quicksilver Sash', "Banshee's Veil"] }
+  },
+  {
+    key: 'antiHeal',
+    label: 'Anti-heal',
+    items: { marksman: ['Mortal Reminder', "Executioner's Calling"], mage: ['Morellonomicon', 'Oblivion Orb'] }
+  },
+  {
+    key: 'burst',
+    label: 'Survive burst',
+    items: { marksman: ['Guardian Angel', 'Maw of Malmortius'], mage: ["Zhonya's Hourglass", "Banshee's Veil"] }
+  },
+  {
+    key: 'armor',
+    label: 'Armor',
+    items: { marksman: ['Plated Steelcaps', 'Guardian Angel'], mage: ['Plated Steelcaps', "Zhonya's Hourglass"] }
+  },
+  {
+    key: 'magicResist',
+    label: 'Magic resist',
+    items: { marksman: ["Mercury's Treads", "Wit's End", 'Maw of Malmortius'], mage: ["Mercury's Treads", "Banshee's Veil"] }
+  }
+];
+
+// Same threshold as the cleanse verdict: 3+ cleansable disables are worth an item slot
+const ITEM_CLEANSE_MIN = 3;
+
+// Share of enemy damage rating (DDragon info.attack vs info.magic) that calls for armor or MR
+const ITEM_DAMAGE_SHARE = 0.65;
+
+/**
+ * Sum the enemy team's DDragon damage ratings (info.attack / info.magic, 0-10 each)
+ * Returns { physical, magic, champions: [{ champion, physical, magic }] }
+ */
+async function getEnemyDamageMix() {
+  const enemies = state.enemies.filter(c => c);
+  const details = await Promise.all(enemies.map(champ => fetchChampionDetail(champ.id)));
+  const champions = enemies.map((champion, index) => ({
+    champion,
+    physical: details[index]?.info?.attack || 0,
+    magic: details[index]?.info?.magic || 0
+  }));
+
+  return {
+    physical: champions.reduce((sum, c) => sum + c.physical, 0),
+    magic: champions.reduce((sum, c) => sum + c.magic, 0),
+    champions
   };
-  return icons[ccType] || '⚠️';
+}
+
+/**
+ * Find a purchasable Summoner's Rift item by name in item.json data
+ */
+function findItem(items, name) {
+  const entry = Object.entries(items).find(([, item]) =>
+    item.name === name && item.maps?.['11'] && item.gold?.purchasable !== false
+  );
+  return entry ? { id: entry[0], ...entry[1] } : null;
+}
+
+/**
+ * Work out which item rules the enemy lineup triggers
+ * Returns [{ rule, triggers }] where triggers are labels like "Malzahar R (Nether Grasp)"
+ */
+function getItemTriggers(abilities, buckets, damageMix) {
+  const label = a => `${a.champion.name} ${a.key} (${a.spell.name})`;
+  const withType = types => abilities.filter(a => a.classifications.some(c => types.includes(c.ccType)));
+  const triggers = {};
+
+  if (buckets.suppression.length > 0 || buckets.cleansable.length >= ITEM_CLEANSE_MIN) {
+    triggers.cleanse = [...buckets.suppression, ...buckets.cleansable].map(label);
+  }
+
+  const sustain = withType(['Sustain']);
+  if (sustain.length > 0) triggers.antiHeal = sustain.map(label);
+
+  const burst = withType(['Burst']);
+  if (burst.length > 0) triggers.burst = burst.map(label);
+
+  const total = damageMix.physical + damageMix.magic;
+  // Only list champions whose damage leans the same way as the team
+  const heaviest = (key, other) => damageMix.champions
+    .filter(c => c[key] > c[other])
+    .sort((a, b) => b[key] - a[key])
+    .map(c => `${c.champion.name} (${key} ${c[key]}/10)`);
+  if (total > 0 && damageMix.physical / total >= ITEM_DAMAGE_SHARE) triggers.armor = heaviest('physical', 'magic');
+  if (total > 0 && damageMix.magic / total >= ITEM_DAMAGE_SHARE) triggers.magicResist = heaviest('magic', 'physical');
+
+  return ITEM_RULES
+    .filter(rule => triggers[rule.key])
+    .map(rule => ({ rule, triggers: triggers[rule.key] }));
+}
+
+/**
+ * Render defensive/utility item suggestions for the selected ADC
+ */
+function renderItemAdvisor(abilities, buckets, damageMix, items) {
+  const container = document.getElementById('itemAdvisor');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const role = ADC_LIST.getADCRole(state.selectedADC.id) || 'marksman';
+  const suggestions = getItemTriggers(abilities, buckets, damageMix)
+    .map(({ rule, triggers }) => ({
+      rule,
+      triggers,
+      items: rule.items[role].map(name => findItem(items, name)).filter(Boolean)
+    }))
+    .filter(suggestion => suggestion.items.length > 0);
+
+  if (suggestions.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  suggestions.forEach(({ rule, triggers, items: ruleItems }) => {
+    const row = document.createElement('div');
+    row.className = 'item-advisor-row';
+
+    const label = document.createElement('span');
+    label.className = 'item-advisor-label';
+    label.textContent = rule.label;
+    row.appendChild(label);
+
+    ruleItems.forEach(item => {
+      const itemEl = document.createElement('span');
+      itemEl.className = 'item-advisor-item';
+      itemEl.title = item.plaintext || item.name;
+
+      const icon = document.createElement('img');
+      icon.src = CONFIG.ITEM_IMG
+        .replace('{version}', state.patch)
+        .replace('{itemId}', item.id);
+      icon.alt = item.name;
+      icon.className = 'item-advisor-icon';
+      itemEl.appendChild(icon);
+
+      itemEl.appendChild(document.createTextNode(`${item.name} (${item.gold.total}g)`));
+      row.appendChild(itemEl);
+    });
+
+    const reason = document.createElement('span');
+    reason.className = 'item-advisor-triggers';
+    reason.textContent = `vs ${triggers.join(', ')}`;
+    row.appendChild(reason);
+
+    container.appendChild(row);
+  });
+
+  container.classList.remove('hidden');
 }
 
 /**
@@ -1175,7 +3296,29 @@ function populateUnderstanding(cell, champion, detail, isEnemy) {
   p.className = 'understanding-text';
   
   if (isEnemy) {
-    p.textContent = generateEnemyUnderstanding(champion, detail);
+    // Curated matchup tip for the selected ADC takes precedence over the heuristic text
+    const curatedTip = getMatchupTip(state.selectedADC, champion);
+    if (curatedTip) {
+      appendTipText(p, curatedTip.text, [getAbilitySource(state.selectedADC), getAbilitySource(champion, detail)]);
+      cell.appendChild(createTipSourceBadge('curated', curatedTip));
+    } else {
+      p.textContent = generateEnemyUnderstanding(champion, detail);
+      cell.appendChild(createTipSourceBadge('generated'));
+    }
+  } else if (hasSupportTemplate(champion)) {
+    // Curated duo synergy for supports listed in tips/index.json
+    const synergy = getSupportSynergy(champion, state.selectedADC);
+    if (synergy) {
+      appendTipText(p, synergy.text, [getAbilitySource(champion, detail), getAbilitySource(state.selectedADC)]);
+      cell.appendChild(createTipSourceBadge('curated', synergy));
+    } else {
+      const missing = document.createElement('p');
+      missing.className = 'understanding-text synergy-missing';
+      missing.textContent = `No curated synergy tip for ${champion.name} with ${state.selectedADC.name} yet.`;
+      cell.appendChild(createTipSourceBadge('generated'));
+      cell.appendChild(missing);
+      p.textContent = generateAllyUnderstanding(champion, detail);
+    }
   } else {
     p.textContent = generateAllyUnderstanding(champion, detail);
   }
@@ -1183,6 +3326,52 @@ function populateUnderstanding(cell, champion, detail, isEnemy) {
   cell.appendChild(p);
 }
 
+/**
+ * Look up a hand-written matchup tip for the selected ADC against an enemy
+ * Returns the tip object ({ text, patch, author, region }) or null
+ */
+function getMatchupTip(adc, enemy) {
+  return CHAMPION_IDENTITY.lookup(getADCTips(adc)?.matchups, enemy) || null;
+}
+
+/**
+ * Look up a hand-written synergy line for a support with the selected ADC
+ * Returns the tip object ({ text, patch, author, region }) or null
+ */
+function getSupportSynergy(support, adc) {
+  return CHAMPION_IDENTITY.lookup(getADCTips(adc)?.synergy, support) || null;
+}
+
+/**
+ * Check whether a champion is a support with curated synergy tips
+ */
+function hasSupportTemplate(champion) {
+  return state.tipIndex.supports.includes(CHAMPION_IDENTITY.resolve(champion));
+}
+
+/**
+ * Create a small label showing where a tip came from
+ * 'curated' = hand-written Challenger tip, 'generated' = heuristic from ability descriptions
+ * Curated tips show their patch and region, with the author in the tooltip
+ */
+function createTipSourceBadge(source, tip = null) {
+  const badge = document.createElement('span');
+  badge.className = `tip-source tip-source-${source}`;
+
+  if (source === 'curated') {
+    const meta = [tip?.patch && `Patch ${tip.patch}`, tip?.region].filter(Boolean);
+    badge.textContent = ['★ Curated', ...meta].join(' · ');
+    badge.title = 'Hand-written Challenger tip' +
+      (tip?.author ? ` by ${tip.author}` : '') +
+      (tip?.patch ? ` (written on patch ${tip.patch})` : '');
+  } else {
+    badge.textContent = '⚙ Generated';
+    badge.title = 'Generated from ability descriptions - no curated tip for this matchup yet';
+  }
+
+  return badge;
+}
+
 /**
  * Generate enemy understanding based on threat patterns
  */
@@ -1196,15 +3385,10 @@ function generateEnemyUnderstanding(champion, detail) {
             classification.type === 'suppression');
   });
   
-  const mobilitySpells = spells.filter(s => {
-    const desc = s.description?.toLowerCase() || '';
-    return desc.includes('dash') || desc.includes('blink') || desc.includes('leap');
-  });
-  
-  const burstSpells = spells.filter(s => {
-    const desc = s.description?.toLowerCase() || '';
-    return desc.includes('burst') || (desc.includes('damage') && desc.includes('bonus'));
-  });
+  const hasDescriptionThreat = (spell, ccTypes) =>
+    classifyDescription(spell).some(c => ccTypes.includes(c.ccType));
+  const mobilitySpells = spells.filter(s => hasDescriptionThreat(s, ['Mobility', 'Dash']));
+  const burstSpells = spells.filter(s => hasDescriptionThreat(s, ['Burst']));
   
   let understanding = `${champion.name} threat analysis: `;
   
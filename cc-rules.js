@@ -0,0 +1,103 @@
+/**
+ * CC Rules - Keyword rule table for classifying abilities from their DDragon description
+ * Used as the fallback when an ability has no curated threat tags in champions-summary.json
+ * Tags use the same vocabulary as the curated `threat` arrays (STUN, PULL, GAP_CLOSE, ...)
+ * Shared by app.js and scripts/classifier-report.js
+ *
+ * Each rule lists patterns with a confidence (0-1); a tag's confidence is its best matching pattern
+ * Patterns in `unless` cancel the rule (e.g. "pulls herself" is not a Pull)
+ */
+
+const CC_RULES = {
+    // Tags below this confidence are ignored by the app
+    MIN_CONFIDENCE: 0.5,
+
+    rules: [
+        // Suppression (QSS only)
+        { tag: 'SUPPRESSION', patterns: [[/\bsuppress(es|ed|ing|ion)?\b/, 0.95]] },
+
+        // Airborne / forced movement (not cleansable)
+        {
+            tag: 'KNOCKUP',
+            patterns: [[/\bknock(s|ed|ing)? (up|into the air)\b/, 0.9], [/\bairborne\b/, 0.85], [/\bknock(s|ed|ing)? (enemies|them|targets?)? ?up\b/, 0.8]]
+        },
+        {
+            tag: 'KNOCKBACK',
+            patterns: [[/\bknock(s|ed|ing)? (\w+ )?(back|away)\b/, 0.85], [/\bpush(es|ed)? (\w+ ){0,3}(back|away)\b/, 0.6]]
+        },
+        {
+            tag: 'PULL',
+            patterns: [
+                [/\b(pull|drag)(s|ed|ing)? (the |an |all )?(first )?(enem(y|ies)|targets?|champions?|them)\b/, 0.85],
+                [/\b(enem(y|ies)|targets?|champions?) (are |is )?(pulled|dragged)\b/, 0.8]
+            ],
+            unless: [/\bpull(s|ed|ing)? (himself|herself|itself|themselves)\b/]
+        },
+        { tag: 'NEARSIGHT', patterns: [[/\bnearsight/, 0.9]] },
+
+        // Disabling CC (cleansable)
+        { tag: 'STUN', patterns: [[/\bstun(s|ned|ning)?\b/, 0.9]] },
+        { tag: 'ROOT', patterns: [[/\broot(s|ed|ing)?\b/, 0.85], [/\bimmobiliz/, 0.75], [/\bsnare/, 0.8]] },
+        { tag: 'CHARM', patterns: [[/\bcharm(s|ed|ing)?\b/, 0.9]] },
+        { tag: 'FEAR', patterns: [[/\bfear(s|ed)?\b/, 0.85], [/\bterrif(y|ies|ied)\b/, 0.85], [/\bflee(s|ing)?\b/, 0.6]] },
+        { tag: 'TAUNT', patterns: [[/\btaunt(s|ed|ing)?\b/, 0.9]] },
+        { tag: 'SLEEP', patterns: [[/\b(asleep|sleep|drowsy)\b/, 0.85]] },
+        { tag: 'POLYMORPH', patterns: [[/\bpolymorph/, 0.9]] },
+
+        // Impairing CC (cleansable)
+        { tag: 'SLOW', patterns: [[/\bslow(s|ed|ing)?\b/, 0.8]] },
+        { tag: 'SILENCE', patterns: [[/\bsilenc(e|es|ed|ing)\b/, 0.9]] },
+        { tag: 'BLIND', patterns: [[/\bblind(s|ed|ing)?\b/, 0.8]] },
+        { tag: 'DISARM', patterns: [[/\bdisarm/, 0.85]] },
+        { tag: 'GROUNDED', patterns: [[/\bground(s|ed)\b/, 0.7]] },
+        {
+            tag: 'CRIPPLE',
+            patterns: [[/\bcripple/, 0.85], [/\breduc(e|es|ing)? (\w+ ){0,3}attack speed\b/, 0.6], [/\battack speed (is )?reduc/, 0.6]]
+        },
+
+        // Mobility
+        { tag: 'DASH', patterns: [[/\bdash(es|ing)?\b/, 0.8], [/\bleap(s|ing)?\b/, 0.75], [/\blunge(s)?\b/, 0.7]] },
+        { tag: 'GAP_CLOSE', patterns: [[/\bblink(s)?\b/, 0.75], [/\bteleport(s|ing)? (to|next to|behind)\b/, 0.7]] },
+        { tag: 'STEALTH', patterns: [[/\b(stealth|invisible|invisibility|camouflage(d)?)\b/, 0.85]] },
+
+        // Damage and defence (weak signals - descriptions mention damage everywhere)
+        { tag: 'BURST', patterns: [[/\bburst\b/, 0.6], [/\bexecut(e|es|ing)\b/, 0.6], [/\bmissing health\b/, 0.5]] },
+        { tag: 'POKE', patterns: [[/\bpoke\b/, 0.6]] },
+        { tag: 'SHIELD', patterns: [[/\bshield(s|ed|ing)?\b/, 0.7]] },
+        {
+            tag: 'SUSTAIN',
+            patterns: [[/\bheal(s|ed|ing)?\b/, 0.6], [/\bregenerat/, 0.55], [/\b(life ?steal|omnivamp)\b/, 0.6]],
+            unless: [/\b(grievous wounds|healing reduction|reduc(e|es|ing) healing)\b/]
+        }
+    ],
+
+    // Lowercase plain text from a DDragon spell (name + description, markup removed)
+    toText(spell) {
+        const text = `${spell?.name || ''} ${spell?.description || ''}`;
+        return text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    // All matching tags as [{ tag, confidence }], most confident first
+    classify(spell, minConfidence = 0) {
+        const text = this.toText(spell);
+        const results = [];
+
+        this.rules.forEach(rule => {
+            if ((rule.unless || []).some(pattern => pattern.test(text))) return;
+
+            const confidence = rule.patterns.reduce(
+                (best, [pattern, score]) => (pattern.test(text) ? Math.max(best, score) : best), 0
+            );
+            if (confidence > 0 && confidence >= minConfidence) {
+                results.push({ tag: rule.tag, confidence });
+            }
+        });
+
+        return results.sort((a, b) => b.confidence - a.confidence);
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CC_RULES };
+}
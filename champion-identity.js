@@ -0,0 +1,85 @@
+/**
+ * Champion Identity - Canonical champion id resolver
+ * Every data source names champions differently:
+ *   DDragon ids:            Kaisa, KogMaw, MissFortune, MonkeyKing
+ *   Display names:          Kai'Sa, Kog'Maw, Miss Fortune, Wukong
+ *   champions-summary.json: both name and slug
+ * This module maps any of these aliases to the canonical DDragon id
+ * Shared by app.js, adc-list.js, the template files and scripts/
+ */
+
+const CHAMPION_IDENTITY = {
+    // Display names that don't normalize to their DDragon id
+    ALIASES: {
+        MonkeyKing: ['Wukong'],
+        Nunu: ['Nunu & Willump', 'Nunu and Willump'],
+        Renata: ['Renata Glasc']
+    },
+
+    // Normalized alias -> canonical DDragon id
+    registry: new Map(),
+
+    // Lowercase and strip everything but letters/digits ("Kai'Sa" -> "kaisa")
+    normalize(alias) {
+        return String(alias).toLowerCase().replace(/[^a-z0-9]/g, '');
+    },
+
+    // Accept a plain string or a champion object (DDragon champion or summary entry)
+    toAlias(champion) {
+        if (champion && typeof champion === 'object') {
+            return champion.id || champion.slug || champion.name || '';
+        }
+        return champion || '';
+    },
+
+    // Comparison key for an alias - two aliases name the same champion if their keys match
+    key(champion) {
+        const normalized = this.normalize(this.toAlias(champion));
+        for (const [id, aliases] of Object.entries(this.ALIASES)) {
+            if (aliases.some(alias => this.normalize(alias) === normalized)) {
+                return this.normalize(id);
+            }
+        }
+        return normalized;
+    },
+
+    // Register a canonical id together with any extra aliases
+    // The first registration wins, so register DDragon data before other sources
+    register(id, ...aliases) {
+        const canonical = this.registry.get(this.key(id)) || id;
+        [id, ...aliases].filter(Boolean).forEach(alias => this.registry.set(this.key(alias), canonical));
+    },
+
+    // Register a list of DDragon champions ({ id, name }) or summary entries ({ slug, name })
+    registerChampions(champions) {
+        champions.forEach(champ => this.register(champ.id || champ.slug, champ.name));
+    },
+
+    // Resolve any alias to its canonical DDragon id, or null if unknown
+    resolve(champion) {
+        return this.registry.get(this.key(champion)) || null;
+    },
+
+    // Check if two aliases name the same champion
+    matches(a, b) {
+        return this.key(a) === this.key(b);
+    },
+
+    // Find a value in an object keyed by any alias form (e.g. tip file matchups)
+    lookup(table, champion) {
+        if (!table) return undefined;
+        const wanted = this.key(champion);
+        const match = Object.keys(table).find(k => this.key(k) === wanted);
+        return match === undefined ? undefined : table[match];
+    },
+
+    // Validation mode: return every alias that doesn't resolve to a registered champion
+    validate(aliases) {
+        return aliases.filter(alias => !this.resolve(alias));
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHAMPION_IDENTITY };
+}
@@ -0,0 +1,284 @@
+/**
+ * Champion Roles - Role probabilities and enemy role inference
+ * Assigns top, jungle, mid, bot and support to a team of up to five champions
+ * Curated odds per champion (DDragon ids) come first; champions missing from the table
+ * fall back to their DDragon tags, with ADC_LIST and SUPPORT_TYPES boosting bot and support
+ * Shared by app.js and scripts/validate-champion-ids.js (which only reads PROBABILITIES)
+ * Inference reads the CHAMPION_IDENTITY, ADC_LIST and SUPPORT_TYPES globals, so load it after those files
+ */
+
+const CHAMPION_ROLES = {
+    ROLES: ['top', 'jungle', 'mid', 'bot', 'support'],
+
+    LABELS: { top: 'Top', jungle: 'Jungle', mid: 'Mid', bot: 'Bot', support: 'Support' },
+
+    // Enemy roles that make up your lane (the enemy bot-lane duo), in row order
+    LANE_ROLES: ['bot', 'support'],
+
+    // Floor for roles a champion is never played in, so any lineup still gets an assignment
+    MIN_PROBABILITY: 0.01,
+
+    // Role odds by DDragon tag, for champions missing from PROBABILITIES (the first tag counts double)
+    TAG_PRIORS: {
+        Fighter: { top: 0.55, jungle: 0.3, mid: 0.1, support: 0.05 },
+        Tank: { top: 0.4, jungle: 0.3, mid: 0.05, support: 0.25 },
+        Mage: { top: 0.05, jungle: 0.05, mid: 0.6, bot: 0.1, support: 0.2 },
+        Assassin: { top: 0.1, jungle: 0.35, mid: 0.55 },
+        Marksman: { top: 0.05, mid: 0.1, bot: 0.85 },
+        Support: { mid: 0.1, support: 0.9 }
+    },
+
+    // Multipliers for table-less champions found in adc-list.js
+    LIST_BOOSTS: { marksman: { bot: 4 }, mage: { bot: 2 }, support: { support: 4 } },
+
+    // Curated role odds (need not sum to 1, roles left out are off-role)
+    PROBABILITIES: {
+        Aatrox: { top: 0.85, jungle: 0.05, mid: 0.1 },
+        Ahri: { mid: 1 },
+        Akali: { top: 0.3, mid: 0.7 },
+        Akshan: { top: 0.15, mid: 0.7, bot: 0.15 },
+        Alistar: { jungle: 0.05, support: 0.95 },
+        Ambessa: { top: 0.7, jungle: 0.3 },
+        Amumu: { jungle: 0.8, support: 0.2 },
+        Anivia: { mid: 0.9, support: 0.1 },
+        Annie: { mid: 0.7, support: 0.3 },
+        Aphelios: { bot: 1 },
+        Ashe: { bot: 0.75, support: 0.25 },
+        AurelionSol: { mid: 0.85, bot: 0.15 },
+        Aurora: { top: 0.3, mid: 0.7 },
+        Azir: { mid: 1 },
+        Bard: { support: 1 },
+        Belveth: { jungle: 1 },
+        Blitzcrank: { support: 1 },
+        Brand: { jungle: 0.2, mid: 0.2, support: 0.6 },
+        Braum: { support: 1 },
+        Briar: { jungle: 1 },
+        Caitlyn: { bot: 1 },
+        Camille: { top: 0.85, jungle: 0.05, support: 0.1 },
+        Cassiopeia: { top: 0.2, mid: 0.6, bot: 0.2 },
+        Chogath: { top: 0.7, mid: 0.3 },
+        Corki: { mid: 0.7, bot: 0.3 },
+        Darius: { top: 0.9, jungle: 0.1 },
+        Diana: { jungle: 0.6, mid: 0.4 },
+        DrMundo: { top: 0.8, jungle: 0.2 },
+        Draven: { bot: 1 },
+        Ekko: { jungle: 0.6, mid: 0.4 },
+        Elise: { jungle: 0.95, support: 0.05 },
+        Evelynn: { jungle: 1 },
+        Ezreal: { bot: 1 },
+        FiddleSticks: { jungle: 0.85, support: 0.15 },
+        Fiora: { top: 1 },
+        Fizz: { jungle: 0.1, mid: 0.9 },
+        Galio: { mid: 0.7, support: 0.3 },
+        Gangplank: { top: 0.8, mid: 0.2 },
+        Garen: { top: 0.85, mid: 0.15 },
+        Gnar: { top: 1 },
+        Gragas: { top: 0.35, jungle: 0.5, support: 0.15 },
+        Graves: { top: 0.1, jungle: 0.9 },
+        Gwen: { top: 0.7, jungle: 0.3 },
+        Hecarim: { jungle: 1 },
+        Heimerdinger: { top: 0.15, mid: 0.35, bot: 0.15, support: 0.35 },
+        Hwei: { mid: 0.6, bot: 0.15, support: 0.25 },
+        Illaoi: { top: 1 },
+        Irelia: { top: 0.6, mid: 0.4 },
+        Ivern: { jungle: 1 },
+        Janna: { support: 1 },
+        JarvanIV: { top: 0.1, jungle: 0.9 },
+        Jax: { top: 0.7, jungle: 0.3 },
+        Jayce: { top: 0.6, mid: 0.4 },
+        Jhin: { bot: 1 },
+        Jinx: { bot: 1 },
+        KSante: { top: 1 },
+        Kaisa: { bot: 1 },
+        Kalista: { bot: 1 },
+        Karma: { top: 0.1, mid: 0.2, support: 0.7 },
+        Karthus: { jungle: 0.5, mid: 0.2, bot: 0.3 },
+        Kassadin: { mid: 1 },
+        Katarina: { mid: 1 },
+        Kayle: { top: 0.7, mid: 0.3 },
+        Kayn: { jungle: 1 },
+        Kennen: { top: 0.85, mid: 0.15 },
+        Khazix: { jungle: 1 },
+        Kindred: { jungle: 1 },
+        Kled: { top: 1 },
+        KogMaw: { bot: 1 },
+        Leblanc: { mid: 0.9, support: 0.1 },
+        LeeSin: { top: 0.05, jungle: 0.95 },
+        Leona: { support: 1 },
+        Lillia: { top: 0.2, jungle: 0.8 },
+        Lissandra: { top: 0.15, mid: 0.85 },
+        Lucian: { mid: 0.2, bot: 0.8 },
+        Lulu: { top: 0.05, support: 0.95 },
+        Lux: { mid: 0.35, support: 0.65 },
+        Malphite: { top: 0.7, mid: 0.1, support: 0.2 },
+        Malzahar: { mid: 0.95, support: 0.05 },
+        Maokai: { top: 0.2, jungle: 0.3, support: 0.5 },
+        MasterYi: { jungle: 1 },
+        Mel: { mid: 0.7, support: 0.3 },
+        Milio: { support: 1 },
+        MissFortune: { bot: 0.95, support: 0.05 },
+        MonkeyKing: { top: 0.5, jungle: 0.5 },
+        Mordekaiser: { top: 0.85, jungle: 0.15 },
+        Morgana: { jungle: 0.15, mid: 0.1, support: 0.75 },
+        Naafiri: { jungle: 0.2, mid: 0.8 },
+        Nami: { support: 1 },
+        Nasus: { top: 1 },
+        Nautilus: { jungle: 0.05, support: 0.95 },
+        Neeko: { top: 0.1, mid: 0.5, support: 0.4 },
+        Nidalee: { jungle: 0.95, support: 0.05 },
+        Nilah: { bot: 1 },
+        Nocturne: { jungle: 0.9, mid: 0.1 },
+        Nunu: { jungle: 0.95, mid: 0.05 },
+        Olaf: { top: 0.5, jungle: 0.5 },
+        Orianna: { mid: 1 },
+        Ornn: { top: 1 },
+        Pantheon: { top: 0.4, jungle: 0.2, mid: 0.2, support: 0.2 },
+        Poppy: { top: 0.4, jungle: 0.4, support: 0.2 },
+        Pyke: { mid: 0.1, support: 0.9 },
+        Qiyana: { jungle: 0.4, mid: 0.6 },
+        Quinn: { top: 0.8, mid: 0.1, bot: 0.1 },
+        Rakan: { support: 1 },
+        Rammus: { jungle: 1 },
+        RekSai: { jungle: 1 },
+        Rell: { jungle: 0.1, support: 0.9 },
+        Renata: { support: 1 },
+        Renekton: { top: 0.9, mid: 0.1 },
+        Rengar: { top: 0.3, jungle: 0.7 },
+        Riven: { top: 1 },
+        Rumble: { top: 0.6, jungle: 0.2, mid: 0.2 },
+        Ryze: { top: 0.3, mid: 0.7 },
+        Samira: { bot: 1 },
+        Sejuani: { top: 0.1, jungle: 0.9 },
+        Senna: { bot: 0.3, support: 0.7 },
+        Seraphine: { mid: 0.15, bot: 0.35, support: 0.5 },
+        Sett: { top: 0.7, jungle: 0.1, support: 0.2 },
+        Shaco: { jungle: 0.7, support: 0.3 },
+        Shen: { top: 0.8, support: 0.2 },
+        Shyvana: { top: 0.2, jungle: 0.8 },
+        Singed: { top: 1 },
+        Sion: { top: 0.9, mid: 0.1 },
+        Sivir: { bot: 1 },
+        Skarner: { top: 0.4, jungle: 0.6 },
+        Smolder: { top: 0.1, mid: 0.2, bot: 0.7 },
+        Sona: { bot: 0.05, support: 0.95 },
+        Soraka: { support: 1 },
+        Swain: { top: 0.15, mid: 0.25, bot: 0.2, support: 0.4 },
+        Sylas: { top: 0.2, jungle: 0.2, mid: 0.6 },
+        Syndra: { mid: 0.9, bot: 0.1 },
+        TahmKench: { top: 0.5, support: 0.5 },
+        Taliyah: { jungle: 0.6, mid: 0.4 },
+        Talon: { jungle: 0.4, mid: 0.6 },
+        Taric: { support: 1 },
+        Teemo: { top: 0.9, support: 0.1 },
+        Thresh: { support: 1 },
+        Tristana: { mid: 0.2, bot: 0.8 },
+        Trundle: { top: 0.5, jungle: 0.5 },
+        Tryndamere: { top: 0.9, mid: 0.1 },
+        TwistedFate: { top: 0.05, mid: 0.9, bot: 0.05 },
+        Twitch: { jungle: 0.15, bot: 0.8, support: 0.05 },
+        Udyr: { top: 0.2, jungle: 0.8 },
+        Urgot: { top: 1 },
+        Varus: { top: 0.1, mid: 0.1, bot: 0.8 },
+        Vayne: { top: 0.3, bot: 0.7 },
+        Veigar: { mid: 0.7, bot: 0.2, support: 0.1 },
+        Velkoz: { mid: 0.4, support: 0.6 },
+        Vex: { mid: 1 },
+        Vi: { jungle: 1 },
+        Viego: { jungle: 1 },
+        Viktor: { top: 0.1, mid: 0.9 },
+        Vladimir: { top: 0.4, mid: 0.6 },
+        Volibear: { top: 0.5, jungle: 0.5 },
+        Warwick: { top: 0.3, jungle: 0.7 },
+        Xayah: { bot: 1 },
+        Xerath: { mid: 0.4, support: 0.6 },
+        XinZhao: { top: 0.05, jungle: 0.95 },
+        Yasuo: { top: 0.2, mid: 0.6, bot: 0.2 },
+        Yone: { top: 0.4, mid: 0.6 },
+        Yorick: { top: 1 },
+        Yunara: { bot: 1 },
+        Yuumi: { support: 1 },
+        Zac: { top: 0.2, jungle: 0.7, support: 0.1 },
+        Zed: { jungle: 0.2, mid: 0.8 },
+        Zeri: { bot: 1 },
+        Ziggs: { mid: 0.4, bot: 0.6 },
+        Zilean: { mid: 0.2, support: 0.8 },
+        Zoe: { mid: 0.9, support: 0.1 },
+        Zyra: { jungle: 0.2, support: 0.8 }
+    },
+
+    // Role odds from DDragon tags plus the adc-list.js boosts
+    fromTags(champion) {
+        const odds = Object.fromEntries(this.ROLES.map(role => [role, 0]));
+        (champion.tags || []).forEach((tag, index) => {
+            const prior = this.TAG_PRIORS[tag] || {};
+            Object.entries(prior).forEach(([role, p]) => { odds[role] += p * (index === 0 ? 2 : 1); });
+        });
+
+        const role = ADC_LIST.getADCRole(champion.id);
+        const isSupport = Object.values(SUPPORT_TYPES).some(list => ADC_LIST.includesChampion(list, champion.id));
+        const boosts = [role && this.LIST_BOOSTS[role], isSupport && this.LIST_BOOSTS.support].filter(Boolean);
+        boosts.forEach(boost => Object.entries(boost).forEach(([boosted, factor]) => {
+            odds[boosted] = Math.max(odds[boosted], 0.1) * factor;
+        }));
+        return odds;
+    },
+
+    // Normalized role odds for a champion ({ id, tags }), every role at least MIN_PROBABILITY
+    probabilities(champion) {
+        const curated = CHAMPION_IDENTITY.lookup(this.PROBABILITIES, champion);
+        const odds = curated || this.fromTags(champion);
+        const total = this.ROLES.reduce((sum, role) => sum + (odds[role] || 0), 0) || 1;
+        return Object.fromEntries(this.ROLES.map(role => [
+            role, Math.max(this.MIN_PROBABILITY, (odds[role] || 0) / total)
+        ]));
+    },
+
+    /**
+     * Most likely role for every champion in a team, each role used once
+     * champions: slots (empty slots allowed), fixed: { slotIndex: role } user overrides kept as-is
+     * Returns roles aligned with the slots (null for empty slots)
+     */
+    assign(champions, fixed = {}) {
+        const roles = champions.map((champion, index) => (champion ? fixed[index] || null : null));
+        const open = champions
+            .map((champion, index) => (champion && !fixed[index] ? index : null))
+            .filter(index => index !== null);
+        const free = this.ROLES.filter(role => !roles.includes(role));
+        const odds = Object.fromEntries(open.map(index => [index, this.probabilities(champions[index])]));
+
+        // Exhaustive search - at most 5! orderings
+        let best = { score: -Infinity, picks: [] };
+        const search = (position, used, score, picks) => {
+            if (position === open.length) {
+                if (score > best.score) best = { score, picks: [...picks] };
+                return;
+            }
+            free.forEach(role => {
+                if (used.has(role)) return;
+                used.add(role);
+                picks.push(role);
+                search(position + 1, used, score + Math.log(odds[open[position]][role]), picks);
+                picks.pop();
+                used.delete(role);
+            });
+        };
+        search(0, new Set(), 0, []);
+
+        best.picks.forEach((role, i) => { roles[open[i]] = role; });
+        return roles;
+    },
+
+    // Split champions into { lane, others } by LANE_ROLES, roleOf(champion) -> role or null
+    // Both keep the order they came in, so a list sorted by threat score stays sorted
+    splitLane(champions, roleOf) {
+        return {
+            lane: champions.filter(champion => this.LANE_ROLES.includes(roleOf(champion))),
+            others: champions.filter(champion => !this.LANE_ROLES.includes(roleOf(champion)))
+        };
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHAMPION_ROLES };
+}
@@ -0,0 +1,17 @@
+/**
+ * DDragon Text - Plain text from DDragon ability and passive descriptions
+ * Descriptions contain markup like <br> and <physicalDamage>
+ * Shared by app.js (tooltips) and scripts/update-champion-data.js (passive.desc in the summary)
+ */
+
+const DDRAGON_TEXT = {
+    // "Deals <physicalDamage>50</physicalDamage><br>damage" -> "Deals 50 damage"
+    stripHtml(text) {
+        return (text || '').replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DDRAGON_TEXT };
+}
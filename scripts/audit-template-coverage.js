@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Template Coverage Audit Script
+ * Cross-checks ADC_LIST, the tip files in tips/ and champions-summary.json
+ * Prints a coverage matrix and the gaps between them, so we know where to write tips next
+ * and catch drift when ADC_LIST changes
+ *
+ * Usage:
+ *   node scripts/audit-template-coverage.js          # text report
+ *   node scripts/audit-template-coverage.js --json   # JSON report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CHAMPION_IDENTITY } = require('../champion-identity.js');
+const { ADC_LIST } = require('../adc-list.js');
+const { loadTipIndex, loadAllTips } = require('./tip-data.js');
+
+function loadSummary() {
+  const summaryPath = path.join(__dirname, '..', 'champions-summary.json');
+  const summaryData = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  return summaryData.champions || summaryData;
+}
+
+// Build the full audit report as a plain object
+function buildReport() {
+  const champions = loadSummary();
+  CHAMPION_IDENTITY.registerChampions(champions);
+
+  const nameOf = id => champions.find(c => CHAMPION_IDENTITY.matches(c, id))?.name || id;
+  const adcIds = ADC_LIST.getAllADCs();
+  const { supports } = loadTipIndex();
+  const allTips = loadAllTips();
+  const synergyFor = (adcId, support) =>
+    CHAMPION_IDENTITY.lookup(CHAMPION_IDENTITY.lookup(allTips, adcId)?.synergy, support);
+
+  // Coverage matrix: one row per ADC on the list
+  const matrix = adcIds.map(id => {
+    const tips = CHAMPION_IDENTITY.lookup(allTips, id);
+    const matchups = Object.keys(tips?.matchups || {}).length;
+    return {
+      id,
+      name: nameOf(id),
+      role: ADC_LIST.getADCRole(id),
+      inSummary: Boolean(CHAMPION_IDENTITY.resolve(id)),
+      hasTemplate: Boolean(tips && (matchups > 0 || tips.macro)),
+      tips: matchups,
+      hasMacro: Boolean(tips?.macro),
+      supportSynergy: supports.filter(support => synergyFor(id, support)).length
+    };
+  });
+
+  const templateADCsNotListed = Object.keys(allTips)
+    .filter(adc => !ADC_LIST.isADC(adc))
+    .map(nameOf);
+
+  const supportGaps = supports
+    .map(support => ({
+      support: nameOf(support),
+      missing: adcIds.filter(id => !synergyFor(id, support)).map(nameOf)
+    }))
+    .filter(gap => gap.missing.length > 0);
+
+  // Every key in the tip files that matches no champion in the summary
+  const unresolvedKeys = [];
+  const checkKeys = (source, keys) => {
+    CHAMPION_IDENTITY.validate(keys).forEach(key => unresolvedKeys.push({ source, key }));
+  };
+  checkKeys('tips/index.json', [...Object.keys(allTips), ...supports]);
+  Object.entries(allTips).forEach(([adcId, tips]) => {
+    checkKeys(`tips/${adcId}.json matchups`, Object.keys(tips.matchups || {}));
+    checkKeys(`tips/${adcId}.json synergy`, Object.keys(tips.synergy || {}));
+  });
+
+  return {
+    totals: {
+      adcs: adcIds.length,
+      withTemplate: matrix.filter(row => row.hasTemplate).length,
+      supports: supports.length
+    },
+    matrix,
+    adcsWithoutTemplate: matrix.filter(row => !row.hasTemplate).map(row => row.name),
+    adcsMissingFromSummary: matrix.filter(row => !row.inSummary).map(row => row.id),
+    templateADCsNotListed,
+    supportGaps,
+    unresolvedKeys
+  };
+}
+
+function printText(report) {
+  const { totals } = report;
+  console.log(`📊 Template coverage: ${totals.withTemplate}/${totals.adcs} ADCs have a template, ${totals.supports} supports have synergy tips\n`);
+
+  console.log('ADC               Role      Template  Tips  Macro  Support synergy');
+  console.log('----------------  --------  --------  ----  -----  ---------------');
+  report.matrix.forEach(row => {
+    console.log([
+      row.name.padEnd(16),
+      (row.role || '-').padEnd(8),
+      (row.hasTemplate ? '✓' : '✗').padEnd(8),
+      String(row.tips).padStart(4),
+      (row.hasMacro ? '✓' : '✗').padEnd(5),
+      `${row.supportSynergy}/${totals.supports}`
+    ].join('  '));
+  });
+
+  const section = (title, items, format = item => item) => {
+    console.log(`\n${items.length === 0 ? '✅' : '⚠️ '} ${title} (${items.length})`);
+    items.forEach(item => console.log(`   - ${format(item)}`));
+  };
+
+  section('ADCs on ADC_LIST with no template', report.adcsWithoutTemplate);
+  section('ADCs on ADC_LIST missing from champions-summary.json', report.adcsMissingFromSummary);
+  section('Template ADCs missing from ADC_LIST', report.templateADCsNotListed);
+  section('Supports whose synergy map lacks listed ADCs', report.supportGaps,
+    gap => `${gap.support}: ${gap.missing.join(', ')}`);
+  section('Tip keys that match no champion', report.unresolvedKeys,
+    ({ source, key }) => `"${key}" in ${source}`);
+}
+
+function main() {
+  const report = buildReport();
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printText(report);
+  }
+}
+
+main();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Classifier Precision Report
+ * Runs the CC_RULES description classifier (cc-rules.js) over the DDragon description of every
+ * ability in champions-summary.json and compares the result with the curated `threat` arrays
+ * Prints precision and recall per tag, so we know how far to trust the fallback for new champions
+ *
+ * Usage:
+ *   node scripts/classifier-report.js                  # text report, latest patch
+ *   node scripts/classifier-report.js --json           # JSON report
+ *   node scripts/classifier-report.js --min=0.7        # only count tags at or above this confidence
+ *   DDRAGON_VERSION=15.22.1 node scripts/classifier-report.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CC_RULES } = require('../cc-rules.js');
+const { fetchData } = require('./fetch-data.js');
+
+const CONFIG = {
+  VERSIONS_API: 'https://ddragon.leagueoflegends.com/api/versions.json',
+  CHAMPION_DETAIL_API: 'https://ddragon.leagueoflegends.com/cdn/{version}/data/en_US/champion/{championId}.json'
+};
+
+function parseMinConfidence() {
+  const arg = process.argv.find(a => a.startsWith('--min='));
+  return arg ? parseFloat(arg.slice('--min='.length)) : CC_RULES.MIN_CONFIDENCE;
+}
+
+// Tags the classifier can produce; curated-only tags (PROJECTILE_BLOCK, ...) are reported separately
+function classifierTags() {
+  return CC_RULES.rules.map(rule => rule.tag);
+}
+
+/**
+ * Compare predicted and curated tags ability by ability
+ * samples = [{ champion, key, curated: [tags], predicted: [{ tag, confidence }] }]
+ */
+function buildReport(samples, minConfidence) {
+  const tags = classifierTags();
+  const stats = {};
+  tags.forEach(tag => {
+    stats[tag] = { tag, truePositives: 0, falsePositives: 0, falseNegatives: 0, examples: { falsePositives: [], falseNegatives: [] } };
+  });
+
+  samples.forEach(sample => {
+    const predicted = sample.predicted.filter(p => p.confidence >= minConfidence).map(p => p.tag);
+    const label = `${sample.champion} ${sample.key}`;
+
+    tags.forEach(tag => {
+      const isPredicted = predicted.includes(tag);
+      const isCurated = sample.curated.includes(tag);
+      if (isPredicted && isCurated) stats[tag].truePositives++;
+      if (isPredicted && !isCurated) {
+        stats[tag].falsePositives++;
+        stats[tag].examples.falsePositives.push(label);
+      }
+      if (!isPredicted && isCurated) {
+        stats[tag].falseNegatives++;
+        stats[tag].examples.falseNegatives.push(label);
+      }
+    });
+  });
+
+  const ratio = (numerator, denominator) => (denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000);
+  const perTag = Object.values(stats).map(s => ({
+    ...s,
+    precision: ratio(s.truePositives, s.truePositives + s.falsePositives),
+    recall: ratio(s.truePositives, s.truePositives + s.falseNegatives),
+    examples: {
+      falsePositives: s.examples.falsePositives.slice(0, 5),
+      falseNegatives: s.examples.falseNegatives.slice(0, 5)
+    }
+  }));
+
+  const curatedOnlyTags = [...new Set(samples.flatMap(s => s.curated))]
+    .filter(tag => !tags.includes(tag))
+    .sort();
+
+  return {
+    minConfidence,
+    abilities: samples.length,
+    perTag,
+    curatedOnlyTags
+  };
+}
+
+function printText(report) {
+  const percent = value => (value === null ? '   -' : `${Math.round(value * 100)}%`.padStart(4));
+
+  console.log(`📊 Classifier vs curated tags: ${report.abilities} abilities, min confidence ${report.minConfidence}\n`);
+  console.log('Tag                TP   FP   FN  Precision  Recall');
+  console.log('-----------------  ---  ---  ---  ---------  ------');
+  report.perTag.forEach(row => {
+    console.log([
+      row.tag.padEnd(17),
+      String(row.truePositives).padStart(3),
+      String(row.falsePositives).padStart(3),
+      String(row.falseNegatives).padStart(3),
+      percent(row.precision).padStart(9),
+      percent(row.recall).padStart(6)
+    ].join('  '));
+  });
+
+  const noisy = report.perTag.filter(row => row.precision !== null && row.precision < 0.5);
+  console.log(`\n${noisy.length === 0 ? '✅' : '⚠️ '} Tags with precision below 50% (${noisy.length})`);
+  noisy.forEach(row => console.log(`   - ${row.tag}: e.g. ${row.examples.falsePositives.join(', ')}`));
+
+  console.log(`\nℹ️  Curated tags the classifier never produces (${report.curatedOnlyTags.length}): ${report.curatedOnlyTags.join(', ') || 'none'}`);
+}
+
+async function main() {
+  const summaryPath = path.join(__dirname, '..', 'champions-summary.json');
+  const summaryData = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  const champions = summaryData.champions || summaryData;
+  const json = process.argv.includes('--json');
+  const log = json ? () => {} : console.log;
+
+  const version = process.env.DDRAGON_VERSION || (await fetchData(CONFIG.VERSIONS_API))[0];
+  log(`📡 Fetching ability descriptions for ${champions.length} champions (patch ${version})...`);
+
+  const samples = [];
+  for (const champion of champions) {
+    try {
+      const url = CONFIG.CHAMPION_DETAIL_API
+        .replace('{version}', version)
+        .replace('{championId}', champion.slug);
+      const detail = (await fetchData(url)).data[champion.slug];
+
+      champion.abilities.forEach((ability, index) => {
+        const spell = detail.spells[index];
+        if (!spell) return;
+        samples.push({
+          champion: champion.name,
+          key: ability.key,
+          curated: ability.threat || [],
+          predicted: CC_RULES.classify(spell)
+        });
+      });
+    } catch (error) {
+      console.error(`❌ Error fetching data for ${champion.name}:`, error.message);
+    }
+  }
+
+  const report = buildReport(samples, parseMinConfidence());
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printText(report);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
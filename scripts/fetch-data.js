@@ -0,0 +1,25 @@
+/**
+ * Fetch Data
+ * HTTPS GET + JSON parse for the DDragon API, shared by the scripts
+ */
+
+const https = require('https');
+
+// Utility function to fetch data from URL
+function fetchData(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+module.exports = { fetchData };
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Self Test
+ * Checks the shared browser modules against small fixtures, then runs the ability reference
+ * parser over every tip and lists the chips that would get the stale-name warning
+ * Exits with code 1 if a check fails
+ *
+ * Usage:
+ *   node scripts/self-test.js            # checks + stale chip summary
+ *   node scripts/self-test.js --stale    # also list every stale chip
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { CHAMPION_IDENTITY } = require('../champion-identity.js');
+const { ABILITY_REFERENCES } = require('../ability-references.js');
+const { CHAMPION_ROLES } = require('../champion-roles.js');
+const { loadAllTips, listTips } = require('./tip-data.js');
+
+const caitlyn = { name: 'Caitlyn', abilities: [{ key: 'Q', name: 'Piltover Peacemaker' }, { key: 'W', name: 'Yordle Snap Trap' }] };
+const lux = { name: 'Lux', abilities: [{ key: 'Q', name: 'Light Binding' }, { key: 'W', name: 'Prismatic Barrier' }] };
+
+const CHECKS = [
+  ['ability references: hyphen variant of a name matches', () => {
+    const [ref] = ABILITY_REFERENCES.find('Her W (Yordle Snap-Trap) is a root', [lux, caitlyn]);
+    assert.strictEqual(ref.parts[0].source, caitlyn);
+    assert.strictEqual(ref.parts[0].ability.name, 'Yordle Snap Trap');
+  }],
+  ['ability references: two-source tip resolves each part against either source', () => {
+    const refs = ABILITY_REFERENCES.find('Land Q (Light Binding), then W (Yordle Snap Trap) under them', [caitlyn, lux]);
+    assert.deepStrictEqual(refs.map(ref => ref.parts[0].source?.name), ['Lux', 'Caitlyn']);
+  }],
+  ['ability references: a name no source has is stale', () => {
+    const [ref] = ABILITY_REFERENCES.find('W (Cupcake Trap) first', [caitlyn, lux]);
+    assert.strictEqual(ref.parts[0].source, null);
+  }],
+  ['ability references: "Name (Key)" form ignores punctuation', () => {
+    const [ref] = ABILITY_REFERENCES.find('Place a Yordle Snap-Trap (W) under them', [lux, caitlyn]);
+    assert.strictEqual(ref.parts[0].source, caitlyn);
+    assert.strictEqual(ref.length, 'Yordle Snap-Trap (W)'.length);
+  }],
+  ['threat table: each enemy section stays in descending score order', () => {
+    // Enemies sorted by threat score, as updateTable does, with their inferred roles
+    const scores = { Leona: 60, Varus: 48, LeeSin: 25, Ahri: 93, Malphite: 34 };
+    const roles = { Leona: 'support', Varus: 'bot', LeeSin: 'jungle', Ahri: 'mid', Malphite: 'top' };
+    const enemies = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+    const { lane, others } = CHAMPION_ROLES.splitLane(enemies, champion => roles[champion]);
+
+    assert.deepStrictEqual(lane, ['Leona', 'Varus']);
+    assert.deepStrictEqual(others, ['Ahri', 'Malphite', 'LeeSin']);
+    [lane, others].forEach(section => section.forEach((champion, i) => {
+      if (i > 0) assert.ok(scores[section[i - 1]] >= scores[champion], `${section[i - 1]} before ${champion}`);
+    }));
+  }],
+  ['threat table: enemies without a role go to the other enemies, by score', () => {
+    const { lane, others } = CHAMPION_ROLES.splitLane(['Ahri', 'Zed', 'Leona'], champion => (champion === 'Leona' ? 'support' : null));
+    assert.deepStrictEqual(lane, ['Leona']);
+    assert.deepStrictEqual(others, ['Ahri', 'Zed']);
+  }]
+];
+
+// Sources the app passes for each tip: matchups [ADC, enemy], synergy [support, ADC], macro [ADC]
+function listStaleChips(champions) {
+  const byId = new Map(champions.map(champion => [CHAMPION_IDENTITY.resolve(champion), champion]));
+  const source = key => byId.get(CHAMPION_IDENTITY.resolve(key)) || null;
+  let total = 0;
+  const stale = [];
+
+  listTips(loadAllTips()).forEach(entry => {
+    const sources = entry.section === 'synergy'
+      ? [source(entry.champion), source(entry.adc)]
+      : [source(entry.adc), source(entry.champion)];
+    ABILITY_REFERENCES.find(entry.tip.text || '', sources).forEach(ref => {
+      total++;
+      ref.parts.filter(part => !part.source).forEach(part => stale.push({ ...entry, part }));
+    });
+  });
+
+  return { total, stale };
+}
+
+function main() {
+  const summaryPath = path.join(__dirname, '..', 'champions-summary.json');
+  const summaryData = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  const champions = summaryData.champions || summaryData;
+  CHAMPION_IDENTITY.registerChampions(champions);
+
+  let failed = 0;
+  CHECKS.forEach(([name, check]) => {
+    try {
+      check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}\n   ${error.message}`);
+    }
+  });
+
+  const { total, stale } = listStaleChips(champions);
+  console.log(`\n📊 ${stale.length} stale parts across ${total} ability chips in the tips`);
+  if (process.argv.includes('--stale')) {
+    stale.forEach(({ adc, section, key, part }) => console.log(`   - tips/${adc}.json ${section}.${key}: ${part.key} (${part.name})`));
+  }
+
+  if (failed > 0) {
+    console.log(`\n❌ ${failed} of ${CHECKS.length} checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+main();
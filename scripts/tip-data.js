@@ -0,0 +1,52 @@
+/**
+ * Tip Data Loader
+ * Reads the per-ADC tip files in tips/ for the Node scripts
+ * See tips/README.md for the schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TIPS_DIR = path.join(__dirname, '..', 'tips');
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Load tips/index.json ({ adcs, supports })
+function loadTipIndex() {
+  return readJson(path.join(TIPS_DIR, 'index.json'));
+}
+
+// Load the tip file for one ADC (canonical id)
+function loadADCTips(adcId) {
+  return readJson(path.join(TIPS_DIR, `${adcId}.json`));
+}
+
+// Load every ADC tip file listed in the index, keyed by canonical id
+function loadAllTips() {
+  const tips = {};
+  loadTipIndex().adcs.forEach(adcId => {
+    tips[adcId] = loadADCTips(adcId);
+  });
+  return tips;
+}
+
+// Flatten loaded tip files into one list of { adc, section, champion, key, tip }
+// champion is the enemy (matchups) or support (synergy); null for macro sections
+function listTips(allTips) {
+  const list = [];
+  Object.entries(allTips).forEach(([adc, file]) => {
+    ['matchups', 'synergy'].forEach(section => {
+      Object.entries(file[section] || {}).forEach(([champion, tip]) => {
+        list.push({ adc, section, champion, key: champion, tip });
+      });
+    });
+    Object.entries(file.macro || {}).forEach(([key, tip]) => {
+      list.push({ adc, section: 'macro', champion: null, key, tip });
+    });
+  });
+  return list;
+}
+
+module.exports = { TIPS_DIR, loadTipIndex, loadADCTips, loadAllTips, listTips };
@@ -0,0 +1,111 @@
+/**
+ * Tip Staleness Detection
+ * Cross-references the ability changes recorded by update-champion-data.js with the tip files
+ * and lists tips that are probably out of date after a patch:
+ *   - tips that mention an ability name Riot has renamed or removed
+ *   - tips involving a champion whose cooldowns changed by more than a threshold
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CHAMPION_IDENTITY } = require('../champion-identity.js');
+const { loadAllTips, listTips } = require('./tip-data.js');
+
+const REPORT_PATH = path.join(__dirname, '..', 'tip-staleness.json');
+
+// Default: flag a champion when any rank's cooldown moved by more than 20%
+const DEFAULT_CD_THRESHOLD = 0.2;
+
+// Largest relative change across ranks, e.g. [10, 8] -> [12, 8] = 0.2
+function maxCooldownDelta(oldCooldowns, newCooldowns) {
+  let max = 0;
+  const ranks = Math.max(oldCooldowns.length, newCooldowns.length);
+  for (let i = 0; i < ranks; i++) {
+    const before = oldCooldowns[i];
+    const after = newCooldowns[i];
+    if (typeof before !== 'number' || typeof after !== 'number') continue;
+    if (before === 0) {
+      if (after !== 0) max = Math.max(max, 1);
+      continue;
+    }
+    max = Math.max(max, Math.abs(after - before) / before);
+  }
+  return max;
+}
+
+// Champions a tip is about: the ADC plus the enemy/support it is keyed by
+function tipChampions(entry) {
+  return [entry.adc, entry.champion].filter(Boolean);
+}
+
+/**
+ * Build the staleness report
+ * changes = { renamed: [{ champion, key, from, to }], cooldowns: [{ champion, key, from, to }] }
+ * Champion ids in changes and tip files are compared through CHAMPION_IDENTITY
+ */
+function buildStalenessReport(changes, { fromPatch, toPatch, threshold = DEFAULT_CD_THRESHOLD, allTips = loadAllTips() } = {}) {
+  const tips = listTips(allTips);
+  const involves = (entry, champion) => tipChampions(entry).some(id => CHAMPION_IDENTITY.matches(id, champion));
+  const mentions = (text, name) => Boolean(name) && text.toLowerCase().includes(name.toLowerCase());
+
+  const renamedAbilities = [];
+  changes.renamed.forEach(change => {
+    tips
+      .filter(entry => involves(entry, change.champion) && mentions(entry.tip.text, change.from))
+      .forEach(entry => renamedAbilities.push({
+        adc: entry.adc,
+        section: entry.section,
+        key: entry.key,
+        champion: change.champion,
+        ability: change.key,
+        oldName: change.from,
+        newName: change.to || null,
+        text: entry.tip.text
+      }));
+  });
+
+  const significantCooldowns = changes.cooldowns
+    .filter(change => maxCooldownDelta(change.from, change.to) > threshold)
+    .map(change => ({ ...change, delta: Math.round(maxCooldownDelta(change.from, change.to) * 100) / 100 }));
+
+  const cooldownChanges = [];
+  significantCooldowns.forEach(change => {
+    tips
+      .filter(entry => involves(entry, change.champion))
+      .forEach(entry => cooldownChanges.push({
+        adc: entry.adc,
+        section: entry.section,
+        key: entry.key,
+        champion: change.champion,
+        ability: change.key,
+        oldCooldowns: change.from,
+        newCooldowns: change.to,
+        delta: change.delta,
+        text: entry.tip.text
+      }));
+  });
+
+  return {
+    fromPatch: fromPatch || null,
+    toPatch: toPatch || null,
+    threshold,
+    renamed: changes.renamed,
+    significantCooldownChanges: significantCooldowns,
+    staleTips: {
+      renamedAbilities,
+      cooldownChanges
+    }
+  };
+}
+
+function writeStalenessReport(report) {
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2) + '\n', 'utf8');
+}
+
+module.exports = {
+  REPORT_PATH,
+  DEFAULT_CD_THRESHOLD,
+  maxCooldownDelta,
+  buildStalenessReport,
+  writeStalenessReport
+};
@@ -8,36 +8,54 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { CHAMPION_IDENTITY } = require('../champion-identity.js');
+const { THREAT_TAXONOMY } = require('../threat-taxonomy.js');
+const { DDRAGON_TEXT } = require('../ddragon-text.js');
+const { buildStalenessReport, writeStalenessReport, DEFAULT_CD_THRESHOLD } = require('./tip-staleness.js');
+const { fetchData } = require('./fetch-data.js');
+
+// STALE_CD_THRESHOLD from the environment; 0 is valid (flag every cooldown change)
+function parseStaleThreshold(value) {
+  const threshold = parseFloat(value);
+  return Number.isFinite(threshold) ? threshold : DEFAULT_CD_THRESHOLD;
+}
 
 const CONFIG = {
   VERSIONS_API: 'https://ddragon.leagueoflegends.com/api/versions.json',
   CHAMPION_LIST_API: 'https://ddragon.leagueoflegends.com/cdn/{version}/data/en_US/champion.json',
-  CHAMPION_DETAIL_API: 'https://ddragon.leagueoflegends.com/cdn/{version}/data/en_US/champion/{championId}.json'
+  CHAMPION_DETAIL_API: 'https://ddragon.leagueoflegends.com/cdn/{version}/data/en_US/champion/{championId}.json',
+  // Relative cooldown change (any rank) that marks a champion's tips as possibly stale
+  STALE_CD_THRESHOLD: parseStaleThreshold(process.env.STALE_CD_THRESHOLD)
 };
 
-// Utility function to fetch data from URL
-function fetchData(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(e);
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
 // Sleep function for rate limiting
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Extend per-rank values to 6 entries (for ultimate evolutions) - repeat last value
+function toSixRanks(values) {
+  const ranks = [...(values || [])];
+  while (ranks.length > 0 && ranks.length < 6) {
+    ranks.push(ranks[ranks.length - 1]);
+  }
+  return ranks;
+}
+
+// Per-rank values synced from DDragon; everything else on an ability (threat, ccDuration, notes) is curated
+function getSyncedAbilityData(apiSpell) {
+  return {
+    cd: toSixRanks(apiSpell.cooldown),
+    range: toSixRanks(apiSpell.range),
+    costs: toSixRanks(apiSpell.cost)
+  };
+}
+
+// Put synced fields first and keep curated fields (threat, ccDuration, notes, ...) as they are
+function orderAbilityFields({ key, name, cd, range, costs, ...curated }) {
+  return { key, name, cd, range, costs, ...curated };
+}
+
 async function main() {
   console.log('🚀 Starting champion data update...');
 
@@ -61,11 +79,13 @@ async function main() {
 
   console.log(`✅ Latest patch: ${latestPatch} (formatted: ${shortPatchVersion})`);
 
-  // Step 2: Read current app.js to check if update is needed
+  // Step 2: Check the patch the current data was built from (champions-summary.json, else app.js)
+  const summaryPath = path.join(__dirname, '..', 'champions-summary.json');
+  const currentSummaryData = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
   const appJsPath = path.join(__dirname, '..', 'app.js');
   const appJsContent = fs.readFileSync(appJsPath, 'utf8');
   const currentPatchMatch = appJsContent.match(/const latestUpdate = "([^"]+)"/);
-  const currentPatch = currentPatchMatch ? currentPatchMatch[1] : null;
+  const currentPatch = currentSummaryData.patchVersion || (currentPatchMatch ? currentPatchMatch[1] : null);
 
   const forceUpdate = process.env.FORCE_UPDATE === 'true';
 
@@ -81,17 +101,18 @@ async function main() {
   const championListUrl = CONFIG.CHAMPION_LIST_API.replace('{version}', latestPatch);
   const championList = await fetchData(championListUrl);
 
-  // Step 4: Load existing champions-summary.json
-  const summaryPath = path.join(__dirname, '..', 'champions-summary.json');
-  const currentSummaryData = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
-
+  // Step 4: Use the existing champions-summary.json loaded in step 2
   // Support both old format (array) and new format (object with champions property)
   const currentSummary = currentSummaryData.champions || currentSummaryData;
 
-  // Create a map of existing champions by name for easy lookup
+  // Fail before writing anything if the curated data uses a tag the taxonomy doesn't define
+  THREAT_TAXONOMY.assertKnown(THREAT_TAXONOMY.collectTags(currentSummary), 'champions-summary.json');
+
+  // Create a map of existing champions by canonical id for easy lookup
   const existingChampionsMap = new Map();
+  CHAMPION_IDENTITY.registerChampions(Object.values(championList.data));
   currentSummary.forEach(champ => {
-    existingChampionsMap.set(champ.name, champ);
+    existingChampionsMap.set(CHAMPION_IDENTITY.resolve(champ) || champ.slug, champ);
   });
 
   console.log(`📊 Found ${Object.keys(championList.data).length} champions in API`);
@@ -101,6 +122,8 @@ async function main() {
   let updatedCount = 0;
   let newChampionsCount = 0;
   const updatedSummary = [];
+  // Ability renames and cooldown changes, used for the tip staleness report
+  const changeLog = { renamed: [], cooldowns: [] };
 
   const championIds = Object.keys(championList.data);
 
@@ -124,11 +147,11 @@ async function main() {
       const championDetail = detailData.data[champId];
 
       // Check if this champion exists in our current data
-      const existingChamp = existingChampionsMap.get(championDetail.name);
+      const existingChamp = existingChampionsMap.get(CHAMPION_IDENTITY.resolve(championDetail));
 
       if (existingChamp) {
         // Update existing champion's cooldowns
-        const updated = updateChampionCooldowns(existingChamp, championDetail);
+        const updated = updateChampionCooldowns(existingChamp, championDetail, changeLog);
         updatedSummary.push(updated);
         if (updated._updated) {
           updatedCount++;
@@ -145,7 +168,7 @@ async function main() {
     } catch (error) {
       console.error(`❌ Error fetching data for ${champId}:`, error.message);
       // If we can't fetch data, keep the existing champion data
-      const existingChamp = existingChampionsMap.get(champBasicData.name);
+      const existingChamp = existingChampionsMap.get(CHAMPION_IDENTITY.resolve(champBasicData));
       if (existingChamp) {
         updatedSummary.push(existingChamp);
       }
@@ -175,13 +198,25 @@ async function main() {
   fs.writeFileSync(appJsPath, updatedAppJs, 'utf8');
   console.log(`✅ Updated app.js with patch ${shortPatchVersion}`);
 
+  // Step 9: Flag tips that mention renamed abilities or champions with big cooldown changes
+  const stalenessReport = buildStalenessReport(changeLog, {
+    fromPatch: currentPatch,
+    toPatch: shortPatchVersion,
+    threshold: CONFIG.STALE_CD_THRESHOLD
+  });
+  writeStalenessReport(stalenessReport);
+  const { renamedAbilities, cooldownChanges } = stalenessReport.staleTips;
+  console.log(`✅ Wrote tip-staleness.json (${renamedAbilities.length} tips mention renamed abilities, ${cooldownChanges.length} tips involve big cooldown changes)`);
+
   console.log('🎉 Update complete!');
 }
 
 /**
  * Update an existing champion's cooldowns with new data from API
+ * Renames and cooldown changes are recorded in changeLog for the tip staleness report
  */
-function updateChampionCooldowns(existingChamp, apiChampion) {
+function updateChampionCooldowns(existingChamp, apiChampion, changeLog = { renamed: [], cooldowns: [] }) {
+  const championId = CHAMPION_IDENTITY.resolve(apiChampion) || apiChampion.id;
   const updated = { ...existingChamp };
   let hasChanges = false;
 
@@ -197,39 +232,59 @@ function updateChampionCooldowns(existingChamp, apiChampion) {
       const existingAbility = updated.abilities.find(a => a.key === key);
 
       if (existingAbility) {
-        // Get cooldown array from API
-        const apiCooldowns = apiSpell.cooldown || [];
-
-        // Extend to 6 values (for ultimate evolutions) - repeat last value
-        const newCooldowns = [...apiCooldowns];
-        while (newCooldowns.length < 6) {
-          newCooldowns.push(newCooldowns[newCooldowns.length - 1]);
-        }
+        const { cd: newCooldowns, range, costs } = getSyncedAbilityData(apiSpell);
 
         // Check if cooldowns changed
         const cooldownsChanged = JSON.stringify(existingAbility.cd) !== JSON.stringify(newCooldowns);
 
         if (cooldownsChanged) {
+          changeLog.cooldowns.push({ champion: championId, key, from: existingAbility.cd, to: newCooldowns });
           existingAbility.cd = newCooldowns;
           hasChanges = true;
         }
 
+        // Range and costs (added to older entries the first time they are synced)
+        if (JSON.stringify(existingAbility.range) !== JSON.stringify(range)) {
+          existingAbility.range = range;
+          hasChanges = true;
+        }
+        if (JSON.stringify(existingAbility.costs) !== JSON.stringify(costs)) {
+          existingAbility.costs = costs;
+          hasChanges = true;
+        }
+
         // Update ability name if it changed
         if (existingAbility.name !== apiSpell.name) {
+          changeLog.renamed.push({ champion: championId, key, from: existingAbility.name, to: apiSpell.name });
           existingAbility.name = apiSpell.name;
           hasChanges = true;
         }
       }
+    } else {
+      // Ability no longer exists in the API data
+      const removedAbility = updated.abilities.find(a => a.key === key);
+      if (removedAbility) {
+        changeLog.renamed.push({ champion: championId, key, from: removedAbility.name, to: null });
+      }
     }
   });
 
   // Update passive name if available
   if (apiChampion.passive && updated.passive && apiChampion.passive.name !== updated.passive.name) {
+    changeLog.renamed.push({ champion: championId, key: 'P', from: updated.passive.name, to: apiChampion.passive.name });
     updated.passive.name = apiChampion.passive.name;
     hasChanges = true;
   }
 
+  // Passive description comes from DDragon; passive threat tags are curated and kept
+  const passiveDesc = DDRAGON_TEXT.stripHtml(apiChampion.passive?.description);
+  if (updated.passive && passiveDesc && updated.passive.desc !== passiveDesc) {
+    updated.passive.desc = passiveDesc;
+    hasChanges = true;
+  }
+
   if (hasChanges) {
+    updated.abilities = updated.abilities.map(orderAbilityFields);
     updated._updated = true;
   }
 
@@ -248,7 +303,8 @@ function createChampionEntry(apiChampion) {
     portrait: apiChampion.id,
     passive: {
       name: apiChampion.passive?.name || "Passive",
-      desc: ""
+      desc: DDRAGON_TEXT.stripHtml(apiChampion.passive?.description),
+      threat: [] // To be manually reviewed and added
     },
     abilities: []
   };
@@ -256,18 +312,11 @@ function createChampionEntry(apiChampion) {
   // Add abilities Q, W, E, R
   const abilityKeys = ['Q', 'W', 'E', 'R'];
   apiChampion.spells.forEach((spell, index) => {
-    const cooldowns = spell.cooldown || [];
-
-    // Extend to 6 values for ultimate evolutions
-    while (cooldowns.length < 6) {
-      cooldowns.push(cooldowns[cooldowns.length - 1]);
-    }
-
     entry.abilities.push({
       key: abilityKeys[index],
       name: spell.name,
-      cd: cooldowns,
-      threat: [], // To be manually reviewed and added
+      ...getSyncedAbilityData(spell),
+      threat: [], // To be manually reviewed and added (optionally with per-rank ccDuration)
       notes: "⚠️ New champion - threat tags need manual review"
     });
   });
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Champion Identity Validation Script
+ * Resolves every champion key used by the data sources against champions-summary.json
+ * and lists the ones that don't map to a canonical champion id
+ * Exits with code 1 if any key is unresolved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CHAMPION_IDENTITY } = require('../champion-identity.js');
+const { ADC_LIST, SUPPORT_TYPES } = require('../adc-list.js');
+const { CHAMPION_ROLES } = require('../champion-roles.js');
+const { loadTipIndex, loadAllTips } = require('./tip-data.js');
+
+// Collect every champion key from each data source, labelled by where it was found
+function collectKeys() {
+  const sources = [];
+  const add = (source, keys) => keys.forEach(key => sources.push({ source, key }));
+
+  add('ADC_LIST', ADC_LIST.getAllADCs());
+  Object.entries(SUPPORT_TYPES).forEach(([type, champs]) => add(`SUPPORT_TYPES.${type}`, champs));
+  add('CHAMPION_ROLES.PROBABILITIES', Object.keys(CHAMPION_ROLES.PROBABILITIES));
+
+  const index = loadTipIndex();
+  add('tips/index.json adcs', index.adcs);
+  add('tips/index.json supports', index.supports);
+
+  Object.entries(loadAllTips()).forEach(([adcId, tips]) => {
+    add(`tips/${adcId}.json adc`, [tips.adc]);
+    add(`tips/${adcId}.json matchups`, Object.keys(tips.matchups || {}));
+    add(`tips/${adcId}.json synergy`, Object.keys(tips.synergy || {}));
+  });
+
+  return sources;
+}
+
+function main() {
+  const summaryPath = path.join(__dirname, '..', 'champions-summary.json');
+  const summaryData = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  const champions = summaryData.champions || summaryData;
+
+  CHAMPION_IDENTITY.registerChampions(champions);
+
+  const keys = collectKeys();
+  const unresolved = keys.filter(({ key }) => CHAMPION_IDENTITY.validate([key]).length > 0);
+
+  console.log(`📊 Checked ${keys.length} champion keys against ${champions.length} champions`);
+
+  if (unresolved.length === 0) {
+    console.log('✅ All champion keys resolve to a canonical id');
+    return;
+  }
+
+  console.log(`❌ ${unresolved.length} unresolved champion keys:`);
+  unresolved.forEach(({ source, key }) => console.log(`   - "${key}" in ${source}`));
+  process.exitCode = 1;
+}
+
+main();
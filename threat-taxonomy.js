@@ -0,0 +1,147 @@
+/**
+ * Threat Taxonomy - Every threat tag used in champions-summary.json and cc-rules.js
+ * One place for each tag's label, category, severity, cleansability, QSS-only flag, icon and priority
+ * Shared by app.js (badges, legend, analysis) and scripts/update-champion-data.js (validation)
+ *
+ * CC classification based on wikilol
+ * Reference: https://wiki.leagueoflegends.com/en-us/Types_of_Crowd_Control
+ * Reference: https://wiki.leagueoflegends.com/en-us/Cleanse
+ *
+ * Unknown tags throw - add the tag here before using it in the data
+ */
+
+const THREAT_TAXONOMY = {
+    // Badge colour categories, in legend order
+    CATEGORIES: {
+        hard: { label: 'Hard CC', description: 'Disables - Cleanse removes most, but not airborne, pull or nearsight' },
+        soft: { label: 'Soft CC (Cleansable)', description: 'Impairs - removed by Cleanse or QSS' },
+        high: { label: 'High Threat', description: 'Mobility, burst and stealth' },
+        medium: { label: 'Medium', description: 'Peel, walls, vision and poke' },
+        low: { label: 'Low', description: 'Sustain and movement speed' }
+    },
+
+    // Tag -> definition, listed in priority order (1 = shown first)
+    // type: classification type used by the analysis (hard / soft / suppression / high / medium / low)
+    // color: badge category from CATEGORIES
+    // forcedMovement: disabling part can be cleansed, the displacement can't
+    TAGS: {
+        // Suppression - only QSS removes it
+        SUPPRESSION: { label: 'Suppression', type: 'suppression', color: 'hard', severity: 'high', cleansable: false, qssOnly: true, icon: '🔒', priority: 1 },
+
+        // Nearsight - not cleansable at all
+        NEARSIGHT: { label: 'Nearsight', type: 'hard', color: 'hard', severity: 'high', cleansable: false, qssOnly: false, icon: '🌫️', priority: 2 },
+
+        // Airborne - forced movement, not cleansable
+        KNOCKUP: { label: 'Knockup', type: 'hard', color: 'hard', severity: 'high', cleansable: false, qssOnly: false, forcedMovement: true, icon: '🌪️', priority: 3 },
+        // Suspension (Nami Q) is a form of airborne
+        SUSPENSION: { label: 'Suspension', type: 'hard', color: 'hard', severity: 'high', cleansable: false, qssOnly: false, forcedMovement: true, icon: '🫧', priority: 4 },
+        KNOCKBACK: { label: 'Knockback', type: 'hard', color: 'hard', severity: 'high', cleansable: false, qssOnly: false, forcedMovement: true, icon: '💨', priority: 5 },
+        PULL: { label: 'Pull', type: 'hard', color: 'hard', severity: 'high', cleansable: false, qssOnly: false, forcedMovement: true, icon: '🪝', priority: 6 },
+
+        // Disabling CC - cleansable
+        STUN: { label: 'Stun', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '⚡', priority: 7 },
+        ROOT: { label: 'Root', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '🌿', priority: 8 },
+        SNARE: { label: 'Root', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '🌿', priority: 9 },
+        CHARM: { label: 'Charm', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '💕', priority: 10 },
+        FEAR: { label: 'Fear', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '😱', priority: 11 },
+        TAUNT: { label: 'Taunt', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '😡', priority: 12 },
+        SLEEP: { label: 'Sleep', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '😴', priority: 13 },
+        POLYMORPH: { label: 'Polymorph', type: 'hard', color: 'hard', severity: 'high', cleansable: true, qssOnly: false, icon: '🐑', priority: 14 },
+
+        // Impairing CC - cleansable
+        SILENCE: { label: 'Silence', type: 'soft', color: 'soft', severity: 'medium', cleansable: true, qssOnly: false, icon: '🤐', priority: 15 },
+        BLIND: { label: 'Blind', type: 'soft', color: 'soft', severity: 'medium', cleansable: true, qssOnly: false, icon: '🙈', priority: 16 },
+        DISARM: { label: 'Disarm', type: 'soft', color: 'soft', severity: 'medium', cleansable: true, qssOnly: false, icon: '🚫', priority: 17 },
+        GROUNDED: { label: 'Grounded', type: 'soft', color: 'soft', severity: 'medium', cleansable: true, qssOnly: false, icon: '⚓', priority: 18 },
+        CRIPPLE: { label: 'Cripple', type: 'soft', color: 'soft', severity: 'medium', cleansable: true, qssOnly: false, icon: '🦴', priority: 19 },
+        SLOW: { label: 'Slow', type: 'soft', color: 'soft', severity: 'medium', cleansable: true, qssOnly: false, icon: '🐌', priority: 20 },
+
+        // Non-CC threats - high priority
+        DODGE: { label: 'Dodge', type: 'high', color: 'high', severity: 'high', cleansable: false, qssOnly: false, icon: '🌀', priority: 21 },
+        PROJECTILE_BLOCK: { label: 'Projectile Block', type: 'high', color: 'high', severity: 'high', cleansable: false, qssOnly: false, icon: '🧱', priority: 22 },
+        UNBREAKABLE_WALL: { label: 'Unbreakable Wall', type: 'high', color: 'high', severity: 'high', cleansable: false, qssOnly: false, icon: '🗿', priority: 23 },
+        STEALTH: { label: 'Stealth', type: 'high', color: 'high', severity: 'high', cleansable: false, qssOnly: false, icon: '👻', priority: 24 },
+        GAP_CLOSE: { label: 'Mobility', type: 'high', color: 'high', severity: 'high', cleansable: false, qssOnly: false, icon: '🏃', priority: 25 },
+        DASH: { label: 'Dash', type: 'high', color: 'high', severity: 'high', cleansable: false, qssOnly: false, icon: '💨', priority: 26 },
+        BURST: { label: 'Burst', type: 'high', color: 'high', severity: 'high', cleansable: false, qssOnly: false, icon: '💥', priority: 27 },
+
+        // Non-CC threats - medium priority
+        BREAKABLE_WALL: { label: 'Breakable Wall', type: 'medium', color: 'medium', severity: 'medium', cleansable: false, qssOnly: false, icon: '🧱', priority: 28 },
+        REVEAL: { label: 'Reveal', type: 'medium', color: 'medium', severity: 'medium', cleansable: false, qssOnly: false, icon: '👁️', priority: 29 },
+        SHIELD_PEEL: { label: 'Shield', type: 'medium', color: 'medium', severity: 'medium', cleansable: false, qssOnly: false, icon: '🛡️', priority: 30 },
+        SHIELD: { label: 'Shield', type: 'medium', color: 'medium', severity: 'medium', cleansable: false, qssOnly: false, icon: '🛡️', priority: 31 },
+        POKE: { label: 'Poke', type: 'medium', color: 'medium', severity: 'medium', cleansable: false, qssOnly: false, icon: '🎯', priority: 32 },
+
+        // Non-CC threats - low priority
+        SUSTAIN: { label: 'Sustain', type: 'low', color: 'low', severity: 'low', cleansable: false, qssOnly: false, icon: '💚', priority: 33 },
+        GHOST: { label: 'Ghost', type: 'low', color: 'low', severity: 'low', cleansable: false, qssOnly: false, icon: '👟', priority: 34 }
+    },
+
+    // Definition for a tag; throws on tags the taxonomy doesn't define
+    get(tag) {
+        const definition = this.TAGS[tag];
+        if (!definition) {
+            throw new Error(`Unknown threat tag "${tag}" - add it to threat-taxonomy.js`);
+        }
+        return definition;
+    },
+
+    // First definition with a display label ("Stun", "Mobility"), or null
+    byLabel(label) {
+        return Object.values(this.TAGS).find(definition => definition.label === label) || null;
+    },
+
+    // Tags in the list that the taxonomy doesn't define
+    findUnknown(tags) {
+        return [...new Set(tags)].filter(tag => !this.TAGS[tag]);
+    },
+
+    // Throw once, listing every unknown tag, if any tag isn't defined
+    assertKnown(tags, source = 'threat data') {
+        const unknown = this.findUnknown(tags);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown threat tags in ${source}: ${unknown.join(', ')} - add them to threat-taxonomy.js`);
+        }
+    },
+
+    // Every threat tag in champions-summary.json champions (abilities, passives and alternate forms)
+    collectTags(champions) {
+        const abilityTags = abilities => (abilities || []).flatMap(ability => ability.threat || []);
+        return champions.flatMap(champion => [
+            ...(champion.passive?.threat || []),
+            ...abilityTags(champion.abilities),
+            ...(champion.forms || []).flatMap(form => abilityTags(form.abilities))
+        ]);
+    },
+
+    // Classification objects for a list of tags, highest priority first
+    // { tag, type, ccType, cleansable, qssOnly, forcedMovement, color, severity, icon }
+    classify(tags) {
+        return [...new Set(tags || [])]
+            .map(tag => ({ tag, ...this.get(tag) }))
+            .sort((a, b) => a.priority - b.priority)
+            .map(({ tag, label, type, color, severity, cleansable, qssOnly, forcedMovement, icon }) => ({
+                tag,
+                type,
+                ccType: label,
+                cleansable,
+                qssOnly,
+                forcedMovement: Boolean(forcedMovement),
+                color,
+                severity,
+                icon
+            }));
+    },
+
+    // Tags in each badge category, for legend tooltips
+    tagsByCategory(category) {
+        return Object.entries(this.TAGS)
+            .filter(([, definition]) => definition.color === category)
+            .map(([tag]) => tag);
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { THREAT_TAXONOMY };
+}